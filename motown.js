@@ -21,8 +21,694 @@
   "use strict";
 
   var controllerCache = [],
+      // Maps the names of the controllers defined with MT.defineController to their constructors
+      controllerRegistry = Object.create(null),
+      // Maps the names of the models defined with MT.defineModel to their constructors
+      modelRegistry = Object.create(null),
+      // Maps the paths of the scripts loaded with MT.loadScript to the Promises for their loading
+      scriptLoads = {},
+      // Maps the paths of the view stylesheets loaded with MT.loadView to the Promises for their loading
+      styleLoads = {},
+      // Maps languages to their resources (see MT.res) and to the Promises for loading them
+      resources = {},
+      resourceLoads = {},
+      // The language selected with MT.setLanguage and the Promise for loading its resources
+      language = null,
+      languageLoad = WinJS.Promise.as(),
       contentLoadedPromise;
 
+  /*
+   * Passed to the navigation life-cycle methods of controllers as their second argument. It is cancelled when a newer
+   * navigation begins before the one it belongs to completes, check its 'cancelled' property after any asynchronous
+   * work. A Promise returned from a life-cycle method is cancelled along with the token.
+   */
+  var NavigationToken = WinJS.Class.define(function(location, delta) {
+    this.location = location;
+    this.delta = delta || 0;
+  },{
+    cancelled: false,
+    _pending: null,
+    cancel: function() {
+      this.cancelled = true;
+      if (this._pending) {
+        this._pending.cancel();
+      }
+    },
+    // Runs one step of a navigation, the returned Promise errors if the token is cancelled before the step completes
+    run: function(step) {
+      var self = this;
+
+      if (this.cancelled) {
+        return WinJS.Promise.wrapError(new WinJS.ErrorFromName('Canceled'));
+      }
+      this._pending = WinJS.Promise.as(step());
+      return this._pending.then(function(value) {
+        self._pending = null;
+        if (self.cancelled) {
+          throw new WinJS.ErrorFromName('Canceled');
+        }
+        return value;
+      });
+    }
+  });
+
+  // The built-in page transitions, referred to by name in the 'transition' configuration of apps and page definitions
+  var transitions = {
+    none: {
+      enter: function() { return WinJS.Promise.as(); },
+      exit:  function() { return WinJS.Promise.as(); }
+    },
+    page: {
+      enter: function(el, reverse) {
+        return WinJS.UI.Animation.enterPage(el, reverse ? { top: '0px', left: '-100px', rtlflip: true } : null);
+      },
+      exit: function(el, reverse) {
+        return WinJS.UI.Animation.exitPage(el, reverse ? { top: '0px', left: '100px', rtlflip: true } : null);
+      }
+    }
+  };
+
+  // Clears the inline styles a page transition leaves on a view, such as the opacity of an exit transition
+  function resetTransition(el) {
+    el.style.opacity = '';
+    el.style.transform = '';
+    el.style.msTransform = '';
+  }
+
+  // Returns a Promise that completes when the app is idle (WinJS 2.0+) or once pending work is done otherwise
+  function whenIdle() {
+    var Scheduler = WinJS.Utilities.Scheduler;
+
+    if (Scheduler) {
+      return new WinJS.Promise(function(complete) {
+        Scheduler.schedule(complete, Scheduler.Priority.idle, null, 'MT.whenIdle');
+      });
+    }
+    return WinJS.Promise.timeout();
+  }
+
+  // Wraps a shared Promise, such as a cached load, so that cancelling the wrapper leaves the shared Promise running
+  function shield(promise) {
+    return new WinJS.Promise(function(complete, error, progress) {
+      promise.then(complete, error, progress);
+    });
+  }
+
+  // Finds a controller defined with MT.defineController, the key 'OrdersController' finds 'Orders' as well
+  function registeredController(key) {
+    return controllerRegistry[key] || controllerRegistry[key.replace(/Controller$/, '')];
+  }
+
+  // Compiles a route pattern such as 'product/:id/:tab?' into a RegExp and the list of its param names
+  function compileRoute(route) {
+    var keys = [],
+        source = route.replace(/^\/+|\/+$/g, '').split('/').map(function(segment, i) {
+          var param = /^:(\w+)(\?)?$/.exec(segment),
+              sep = i ? '/' : '';
+
+          if (param) {
+            keys.push(param[1]);
+            return '(?:' + sep + '([^/]+))' + (param[2] || '');
+          }
+          return sep + segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }).join('');
+
+    return { regex: new RegExp('^' + source + '$'), keys: keys };
+  }
+
+  // Key names that can be used as action modifiers besides the names in WinJS.Utilities.Key, e.g. 'keydown.esc'
+  var keyAliases = {
+    esc: 'escape', up: 'upArrow', down: 'downArrow', left: 'leftArrow', right: 'rightArrow', 'delete': 'deleteKey'
+  };
+
+  // Finds the key code for a key name in keyAliases or WinJS.Utilities.Key, ignoring case
+  function keyCodeOf(name) {
+    var Key = WinJS.Utilities.Key;
+
+    name = (keyAliases[name.toLowerCase()] || name).toLowerCase();
+    return Key[Object.keys(Key).filter(function(key) { return key.toLowerCase() === name; })[0]];
+  }
+
+  // Parses an event name with modifiers such as 'keydown.enter', 'input.debounce(300)' or 'click.prevent.once'
+  function parseEventModifiers(spec) {
+    var parts = spec.split('.'),
+        result = {
+          type: parts.shift(), keys: [], systemKeys: [],
+          prevent: false, stop: false, once: false, capture: false, debounce: 0, throttle: 0
+        };
+
+    parts.forEach(function(part) {
+      var mod = /^(\w+)(?:\((\d+)\))?$/.exec(part),
+          name = mod && mod[1],
+          key;
+
+      if (!mod || (mod[2] && name !== 'debounce' && name !== 'throttle')) {
+        throw new Error('Invalid event modifier "' + part + '" in: ' + spec);
+      }
+      switch (name) {
+        case 'prevent':
+        case 'stop':
+        case 'once':
+        case 'capture':
+          result[name] = true;
+          break;
+        case 'debounce':
+        case 'throttle':
+          if (!mod[2]) {
+            throw new Error('The ' + name + ' modifier needs a delay in milliseconds, e.g. ' + name + '(300): ' + spec);
+          }
+          result[name] = +mod[2];
+          break;
+        case 'ctrl':
+        case 'alt':
+        case 'shift':
+        case 'meta':
+          result.systemKeys.push(name + 'Key');
+          break;
+        default:
+          key = keyCodeOf(name);
+          if (typeof key !== 'number') {
+            throw new Error('Unknown event modifier "' + name + '" in: ' + spec);
+          }
+          result.keys.push(key);
+      }
+    });
+    return result;
+  }
+
+  // The names an action's arguments can refer to besides the controller's properties and globals, see parseAction
+  var actionScopeNames = ['$event', '$data'];
+
+  // Property names that would reach object internals, such as the Function constructor, from an action
+  var reservedActionNames = ['constructor', 'prototype', '__proto__'];
+
+  // The event types delegated from the root of views for actions added after views are processed, besides the ones
+  // used in the views' actions
+  var delegatedEvents = ['click', 'dblclick', 'contextmenu', 'input', 'change', 'submit', 'keydown', 'keyup', 'keypress'];
+
+  // Whether an element is part of the content of a WinJS.Binding.Template
+  function inTemplate(el) {
+    for (el = el.parentNode; el && el.nodeType === 1; el = el.parentNode) {
+      if (el.winControl instanceof WinJS.Binding.Template) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Parses an action such as 'save', 'selectItem($event, 42, refs.list)' or "show('details')" into the path of the
+  // function to call and its arguments, which are literal values or paths resolved when the action runs
+  function parseAction(text) {
+    var pos = 0,
+        action,
+        fail = function(expected) {
+          throw new Error('Invalid action "' + text + '": expected ' + expected + ' at position ' + pos);
+        },
+        next = function(regex) {
+          var match = regex.exec(text.slice(pos));
+          if (match) {
+            pos += match[0].length;
+          }
+          return match;
+        },
+        path = function() {
+          var segments = [],
+              match;
+
+          do {
+            match = next(/^\s*([A-Za-z_$][\w$]*)/);
+            if (!match) {
+              fail('a name');
+            }
+            segments.push(match[1]);
+          } while (next(/^\s*\./));
+
+          if (segments[0][0] === '$' && actionScopeNames.indexOf(segments[0]) === -1) {
+            fail('one of ' + actionScopeNames.join(', ') + ' instead of ' + segments[0]);
+          }
+          segments.forEach(function(segment) {
+            if (reservedActionNames.indexOf(segment) !== -1) {
+              fail('a name other than ' + segment);
+            }
+          });
+          return segments;
+        },
+        value = function() {
+          var match = next(/^\s*(-?\d+(?:\.\d+)?)/);
+
+          if (match) {
+            return { value: +match[1] };
+          }
+          match = next(/^\s*(?:'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)")/);
+          if (match) {
+            return { value: (match[1] !== undefined ? match[1] : match[2]).replace(/\\(.)/g, '$1') };
+          }
+          match = next(/^\s*(true|false|null|undefined)(?![\w$])/);
+          if (match) {
+            return { value: { 'true': true, 'false': false, 'null': null, 'undefined': undefined }[match[1]] };
+          }
+          return { path: path() };
+        };
+
+    if (typeof text !== 'string') {
+      throw new Error('Invalid action: ' + text + ', actions must be strings');
+    }
+
+    action = { callee: path(), args: null };
+    if (next(/^\s*\(/)) {
+      action.args = [];
+      if (!next(/^\s*\)/)) {
+        do {
+          action.args.push(value());
+        } while (next(/^\s*,/));
+        if (!next(/^\s*\)/)) {
+          fail("',' or ')'");
+        }
+      }
+    }
+    if (!/^\s*$/.test(text.slice(pos))) {
+      fail('the end of the action');
+    }
+    return action;
+  }
+
+  // Whether a path in an action refers to a global the app allows actions to use, see MT.AppController#actionGlobals
+  function isActionGlobal(segments) {
+    var globals = (MT.App && MT.App.actionGlobals) || ['WinJS.Navigation'];
+
+    return globals.some(function(name) {
+      var parts = name.split('.');
+      return segments.length >= parts.length && segments.slice(0, parts.length).join('.') === name;
+    });
+  }
+
+  // Whether a path in an action can be resolved: '$' names, 'this', the controller's properties and allowed globals
+  function isActionPath(segments, controller) {
+    var root = segments[0];
+    return root[0] === '$' || root === 'this' || root in controller || isActionGlobal(segments);
+  }
+
+  // The error for a path in an action that isActionPath rejects
+  function unknownActionName(segments, text) {
+    return new Error('Unknown name "' + segments.join('.') + '" in action: ' + text +
+      ', actions can only use the controller\'s properties and the globals in MT.App.actionGlobals');
+  }
+
+  // Resolves a path in an action: '$' names in the scope, 'this' and the controller's properties on the controller and
+  // the globals allowed by isActionGlobal (e.g. 'WinJS.Navigation.back') on the global object, other paths are
+  // undefined. Returns the value and the object holding it.
+  function resolveActionPath(segments, controller, scope) {
+    var root = segments[0],
+        value = (root[0] === '$') ? scope : (root === 'this' || root in controller) ? controller :
+                isActionGlobal(segments) ? window : undefined,
+        owner = null;
+
+    segments.forEach(function(segment, i) {
+      if (i === 0 && root === 'this') {
+        return;
+      }
+      owner = value;
+      value = (value === null || value === undefined) ? undefined : value[segment];
+    });
+    return { owner: owner, value: value };
+  }
+
+  // Calls the function of an action parsed with parseAction on a controller, a bare name is called with the event
+  // (and the item data)
+  function runAction(action, controller, scope) {
+    var fn = resolveActionPath(action.callee, controller, scope);
+
+    if (typeof fn.value !== 'function') {
+      throw new Error('Action is not a function: ' + action.callee.join('.'));
+    }
+    return fn.value.apply(fn.owner, action.args ? action.args.map(function(arg) {
+      if (arg.path && !isActionPath(arg.path, controller)) {
+        throw unknownActionName(arg.path, action.callee.join('.') + '(...)');
+      }
+      return arg.path ? resolveActionPath(arg.path, controller, scope).value : arg.value;
+    }) : ('$data' in scope) ? [scope.$event, scope.$data] : [scope.$event]);
+  }
+
+  // Identifies a key stroke by its key code and modifier keys, e.g. 'ctrl+shift+83'
+  function keyStroke(ctrl, alt, shift, meta, keyCode) {
+    return (ctrl ? 'ctrl+' : '') + (alt ? 'alt+' : '') + (shift ? 'shift+' : '') + (meta ? 'meta+' : '') + keyCode;
+  }
+
+  // Parses a keyboard shortcut such as 'ctrl+s', 'alt+left' or the chord 'ctrl+k ctrl+c' into its key strokes
+  function parseShortcut(text) {
+    return text.trim().split(/\s+/).map(function(stroke) {
+      var keys = stroke.split('+'),
+          name = keys.pop(),
+          mods = {},
+          keyCode;
+
+      keys.forEach(function(mod) {
+        mod = mod.toLowerCase();
+        if (['ctrl', 'alt', 'shift', 'meta'].indexOf(mod) === -1) {
+          throw new Error('Unknown modifier "' + mod + '" in shortcut: ' + text);
+        }
+        mods[mod] = true;
+      });
+      keyCode = /^[a-z0-9]$/i.test(name) ? name.toUpperCase().charCodeAt(0) : keyCodeOf(name);
+      if (typeof keyCode !== 'number') {
+        throw new Error('Unknown key "' + name + '" in shortcut: ' + text);
+      }
+      return keyStroke(mods.ctrl, mods.alt, mods.shift, mods.meta, keyCode);
+    });
+  }
+
+  // Compiles a table of shortcuts mapping shortcuts to actions (names, call expressions or functions)
+  function compileShortcuts(table) {
+    return Object.keys(table || {}).map(function(text) {
+      var action = table[text];
+
+      return {
+        text: text,
+        strokes: parseShortcut(text),
+        action: (typeof action === 'function') ? action : parseAction(action)
+      };
+    });
+  }
+
+  // Whether typing in an element enters text, shortcuts without ctrl, alt or meta are not handled there
+  function isTextInput(el) {
+    var tag = el && el.tagName;
+
+    return !!tag && (el.isContentEditable || tag === 'TEXTAREA' ||
+      (tag === 'INPUT' && !/^(button|checkbox|radio|submit|reset|image|file|range|color)$/i.test(el.type)));
+  }
+
+  // Resolves a URL in a stylesheet against the stylesheet's directory (e.g. '/css/orders/'), absolute URLs are kept
+  function rebaseURL(url, base) {
+    var segments = [];
+
+    if (!url || /^([a-z][\w+.-]*:|\/|#)/i.test(url)) {
+      return url;
+    }
+    (base + url).split('/').forEach(function(segment) {
+      if (segment === '..') {
+        if (segments.length > 1) {
+          segments.pop();
+        }
+      }
+      else if (segment !== '.') {
+        segments.push(segment);
+      }
+    });
+    return segments.join('/');
+  }
+
+  // Prefixes the selectors in a stylesheet with the selector of a view's class (e.g. '.orders-list'), so its rules only
+  // apply inside the view. Selectors of 'html', 'body' and ':root' are replaced with it. Rules inside at-rules other
+  // than @media and @supports are left alone. Relative URLs in url() and @import are resolved against 'base', the
+  // directory of the stylesheet, as the rules end up in a style element of the document.
+  function scopeCSS(css, scope, base) {
+    var blockEnd = function(open) {
+          var depth = 0,
+              i;
+
+          for (i = open; i < css.length; i++) {
+            if (css[i] === '{') {
+              depth++;
+            }
+            else if (css[i] === '}' && --depth === 0) {
+              return i + 1;
+            }
+          }
+          return css.length;
+        },
+        prefix = function(selectors) {
+          return selectors.split(',').map(function(selector) {
+            selector = selector.trim().replace(/^(html|body|:root)(?![\w-])/, scope);
+            return (selector.indexOf(scope) === 0 && !/^[\w-]/.test(selector.slice(scope.length))) ? selector : scope + ' ' + selector;
+          }).join(', ');
+        },
+        rules = function(from, to) {
+          var result = '',
+              open, semi, end, prelude;
+
+          while (from < to) {
+            open = css.indexOf('{', from);
+            semi = css.indexOf(';', from);
+            if (open === -1 || open >= to) {
+              return result + css.slice(from, to);
+            }
+            // At-rules without a block, such as @import
+            if (/^\s*@/.test(css.slice(from, open)) && semi !== -1 && semi < open) {
+              result += css.slice(from, semi + 1);
+              from = semi + 1;
+              continue;
+            }
+
+            prelude = css.slice(from, open);
+            end = blockEnd(open);
+            if (/^\s*@(media|supports)/i.test(prelude)) {
+              result += prelude + '{' + rules(open + 1, end - 1) + '}';
+            }
+            else if (/^\s*@/.test(prelude)) {
+              result += css.slice(from, end);
+            }
+            else {
+              result += '\n' + prefix(prelude) + ' ' + css.slice(open, end);
+            }
+            from = end;
+          }
+          return result;
+        };
+
+    css = css.replace(/\/\*[\s\S]*?\*\//g, '').replace(/url\(\s*(['"]?)([^'")]*?)\1\s*\)/g, function(match, quote, url) {
+      return 'url(' + quote + rebaseURL(url, base) + quote + ')';
+    }).replace(/(@import\s+)(['"])([^'"]*)\2/g, function(match, keyword, quote, url) {
+      return keyword + quote + rebaseURL(url, base) + quote;
+    });
+    return rules(0, css.length);
+  }
+
+  // Enables the stylesheets of the views in the document and disables the others, see MT.loadView
+  function updateViewStyles() {
+    var active = WinJS.Utilities.query('.motown-view[data-motown-css]').map(function(el) {
+      return el.getAttribute('data-motown-css');
+    });
+
+    WinJS.Utilities.query('[data-motown-css]', document.head).forEach(function(sheet) {
+      sheet.disabled = active.indexOf(sheet.getAttribute('data-motown-css')) === -1;
+    });
+  }
+
+  // The plural categories of numbers for languages, by their primary subtag. Other languages use 'one' for 1 and
+  // 'other' for other numbers.
+  var pluralRules = {
+    fr: function(n) { return (n >= 0 && n < 2) ? 'one' : 'other'; },
+    ja: function() { return 'other'; },
+    ko: function() { return 'other'; },
+    zh: function() { return 'other'; },
+    cs: function(n) { return (n === 1) ? 'one' : (n >= 2 && n <= 4) ? 'few' : 'other'; },
+    sk: function(n) { return (n === 1) ? 'one' : (n >= 2 && n <= 4) ? 'few' : 'other'; },
+    pl: function(n) {
+      return (n === 1) ? 'one' : (n % 10 >= 2 && n % 10 <= 4 && (n % 100 < 12 || n % 100 > 14)) ? 'few' : 'many';
+    },
+    ru: function(n) {
+      return (n % 10 === 1 && n % 100 !== 11) ? 'one' :
+             (n % 10 >= 2 && n % 10 <= 4 && (n % 100 < 12 || n % 100 > 14)) ? 'few' : 'many';
+    }
+  };
+  pluralRules.uk = pluralRules.ru;
+
+  // The plural category of a number in a language: 'zero', 'one', 'two', 'few', 'many' or 'other'
+  function pluralCategory(lang, n) {
+    var rule = pluralRules[lang.split('-')[0].toLowerCase()];
+
+    if (typeof Intl === 'object' && Intl.PluralRules) {
+      return new Intl.PluralRules(lang).select(n);
+    }
+    return rule ? rule(n) : (n === 1) ? 'one' : 'other';
+  }
+
+  // The user's preferred language: the app's first language in Windows, or the browser's (navigator.language is
+  // undefined in IE10)
+  function userLanguage() {
+    var languages = window.Windows && Windows.Globalization && Windows.Globalization.ApplicationLanguages.languages;
+
+    return (languages && languages.length) ? languages[0] : (navigator.userLanguage || navigator.language);
+  }
+
+  // The languages to look resources up in: the language, its primary subtag, then the same for the default language
+  function languageChain(lang) {
+    var defaultLanguage = (MT.App && MT.App.defaultLanguage) || 'en-US';
+
+    return [lang, lang && lang.split('-')[0], defaultLanguage, defaultLanguage.split('-')[0]].filter(function(l, i, all) {
+      return l && all.indexOf(l) === i;
+    });
+  }
+
+  // Loads the resources of a language from /strings/<language>/resources.resjson, a missing file means no resources
+  function loadResources(lang) {
+    var path = '/strings/' + lang + '/resources.resjson',
+        load = resourceLoads[lang];
+
+    if (!load) {
+      load = resourceLoads[lang] = WinJS.xhr({ url: path }).then(function(req) {
+        // .resjson files may have comments
+        resources[lang] = JSON.parse(req.responseText.replace(/("(?:[^"\\]|\\.)*")|\/\*[\s\S]*?\*\/|\/\/[^\n]*/g, function(match, str) {
+          return str || '';
+        }));
+      }, function() {
+        resources[lang] = {};
+      }).then(null, function(error) {
+        console.error('Resources could not be loaded from: ' + path + ': ' + error);
+        resources[lang] = {};
+      });
+      // Allow another attempt
+      load.then(null, function() {
+        if (resourceLoads[lang] === load) {
+          delete resourceLoads[lang];
+        }
+      });
+    }
+    return shield(load);
+  }
+
+  // Finds a resource string in the selected language or its fallbacks
+  function lookupResource(key) {
+    var chain = languageChain(language),
+        i;
+
+    for (i = 0; i < chain.length; i++) {
+      if (resources[chain[i]] && typeof resources[chain[i]][key] === 'string') {
+        return resources[chain[i]][key];
+      }
+    }
+  }
+
+  // Whether an element is a control that processes its own content, such as a WinJS.Binding.Template
+  function isControlContainer(el) {
+    var control = el.winControl;
+    return !!(control && control.constructor && control.constructor.isDeclarativeControlContainer);
+  }
+
+  // Whether the data-win-bind declarations of an element belong to the bindsource element 'root', as
+  // WinJS.Binding.processAll decides: not when the element is in a nested bindsource (data-motown-bindsource or
+  // data-win-bindsource) or in the content of a control container
+  function isBoundBy(el, root) {
+    var node;
+
+    for (node = el; node && node !== root; node = node.parentNode) {
+      if (node.hasAttribute('data-motown-bindsource') || node.hasAttribute('data-win-bindsource') ||
+          (node !== el && isControlContainer(node))) {
+        return false;
+      }
+    }
+    return node === root;
+  }
+
+  // Parses a data-win-bind attribute ("dest.path: source.path Initializer; ...") into its bindings. Paths follow the
+  // WinJS grammar: dotted names, quoted names in brackets and a leading 'this', as in "this['aria-label']: title"
+  function parseWinBind(text) {
+    var tokenRE = /\s*(?:([A-Za-z_$][\w$]*)|\[\s*(?:'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|(\d+))\s*\]|([.:;]))/g,
+        tokens = [],
+        bindings = [],
+        i = 0,
+        match, start, destination, source, initializer;
+
+    function invalid() {
+      return new Error('Invalid binding: "' + text + '", expected "property: source.path Initializer"');
+    }
+
+    // Reads a path such as a.b, this['aria-label'] or a[0].b from the tokens
+    function path() {
+      var segments = [];
+
+      if (tokens[i] && tokens[i].ident === 'this') {
+        i++;
+        if (!tokens[i] || !(tokens[i].key !== undefined || tokens[i].punct === '.')) {
+          throw invalid();
+        }
+      }
+      else if (tokens[i] && tokens[i].ident !== undefined) {
+        segments.push(tokens[i++].ident);
+      }
+      while (tokens[i]) {
+        if (tokens[i].key !== undefined) {
+          segments.push(tokens[i++].key);
+        }
+        else if (tokens[i].punct === '.' && tokens[i + 1] && tokens[i + 1].ident !== undefined) {
+          segments.push(tokens[i + 1].ident);
+          i += 2;
+        }
+        else {
+          break;
+        }
+      }
+      if (!segments.length) {
+        throw invalid();
+      }
+      return segments;
+    }
+
+    text = text.trim();
+    while (tokenRE.lastIndex < text.length) {
+      start = tokenRE.lastIndex;
+      match = tokenRE.exec(text);
+      if (!match || match.index !== start) {
+        throw invalid();
+      }
+      tokens.push(match[1] ? { ident: match[1] } :
+                  match[5] ? { punct: match[5] } :
+                  { key: (match[2] || match[3] || match[4] || '').replace(/\\(.)/g, '$1') });
+    }
+
+    while (i < tokens.length) {
+      if (tokens[i].punct === ';') {
+        i++;
+        continue;
+      }
+      destination = path();
+      if (!tokens[i] || tokens[i++].punct !== ':') {
+        throw invalid();
+      }
+      source = path();
+      initializer = (tokens[i] && tokens[i].punct !== ';') ? path().join('.') : undefined;
+      if (tokens[i] && tokens[i].punct !== ';') {
+        throw invalid();
+      }
+      bindings.push({ destination: destination, source: source, initializer: initializer });
+    }
+    return bindings;
+  }
+
+  // Calls 'changed' when a property of an object is replaced. Observable objects are watched with bind(), plain
+  // objects get an accessor property. Returns a function that stops watching, or null if the property can't be watched.
+  function watchProperty(obj, prop, changed) {
+    var desc, value;
+
+    if (typeof obj.bind === 'function' && typeof obj.getProperty === 'function') {
+      obj.bind(prop, changed);
+      return function() {
+        obj.unbind(prop, changed);
+      };
+    }
+
+    desc = Object.getOwnPropertyDescriptor(obj, prop);
+    if ((desc && (!desc.configurable || desc.get || desc.set)) || !Object.isExtensible(obj)) {
+      return null;
+    }
+    value = obj[prop];
+    Object.defineProperty(obj, prop, {
+      get: function() { return value; },
+      set: function(v) {
+        if (v !== value) {
+          value = v;
+          changed();
+        }
+      },
+      enumerable: true,
+      configurable: true
+    });
+    return function() {
+      Object.defineProperty(obj, prop, { value: value, writable: true, enumerable: true, configurable: true });
+    };
+  }
+
   /**
    * @class MT
    * @singleton
@@ -57,6 +743,14 @@
           _pageDefs:          { value: {},      enumerable: false, configurable: false, writable: false },
           _pageMap:           { value: {},      enumerable: false, configurable: false, writable: false },
           _controllerCtorMap: { value: {},      enumerable: false, configurable: false, writable: false },
+          _routes:            { value: [],      enumerable: false, configurable: false, writable: false },
+          _pageLRU:           { value: [],      enumerable: false, configurable: false, writable: false },
+          _restoredPageStates:{ value: {},      enumerable: false, configurable: false, writable: false },
+          _pageLoads:         { value: {},      enumerable: false, configurable: false, writable: false },
+          _serviceDefs:       { value: {},      enumerable: false, configurable: false, writable: false },
+          _serviceInstances:  { value: {},      enumerable: false, configurable: false, writable: false },
+          _shortcutTables:    { value: {},      enumerable: false, configurable: false, writable: false },
+          _layouts:           { value: {},      enumerable: false, configurable: false, writable: false },
           _element:           { value: element, enumerable: false, configurable: false, writable: false }
         });
 
@@ -68,6 +762,9 @@
           }
           else if (def && (typeof def === 'object')) {
             this._pageDefs[def.name] = def;
+            if (typeof def.route === 'string') {
+              this._routes.push(MT.apply({ name: def.name }, compileRoute(def.route)));
+            }
           }
         }
 
@@ -80,6 +777,22 @@
           me.onNavigate(e.detail.location, e.detail.state, e);
         });
 
+        // Setup the keyboard shortcuts of the app and its pages, page shortcuts override the app's
+        this._shortcuts = compileShortcuts(this.shortcuts);
+        Object.keys(this._pageDefs).forEach(function(name) {
+          var own = compileShortcuts(me._pageDefs[name].shortcuts),
+              texts = own.map(function(shortcut) { return shortcut.strokes.join(' '); });
+
+          me._shortcutTables[name] = own.concat(me._shortcuts.filter(function(shortcut) {
+            return texts.indexOf(shortcut.strokes.join(' ')) === -1;
+          }));
+        });
+        document.addEventListener('keydown', function(e) {
+          me._handleShortcut(e);
+        }, false);
+
+        this._navigationQueue = WinJS.Promise.as();
+
         // Setup the app's namespace if specified
         if ((typeof this.namespace === 'string') && this.namespace.length) {
           this.namespace = WinJS.Namespace.define(this.namespace);
@@ -88,96 +801,546 @@
           this.namespace = window;
         }
 
-        // Setup converter functions for use in bindings
+        // Setup the services that can be injected into controllers
+        Object.keys(this.services || {}).forEach(function(name) {
+          me.registerService(name, me.services[name]);
+        });
+
+        // Setup converter functions for use in bindings, objects with 'toView' and 'toModel' functions convert both ways
         Object.keys(this.converters || {}).forEach(function(name) {
-          me.converters[name] = new WinJS.Binding.converter(me.converters[name]);
+          var converter = me.converters[name],
+              toView = (typeof converter === 'function') ? converter : converter.toView;
+
+          me.converters[name] = new WinJS.Binding.converter(toView);
+          me.converters[name].toView = toView;
+          me.converters[name].toModel = converter.toModel;
         });
       },{
       // Information about the applications activation, save from the activation event
       activationDetails: null,
       // The page name to initially navigate to
       homePage: 'home',
+      // When true, pages and regions whose controller cannot be found are errors instead of using MT.PageController
+      strictControllers: false,
+      // The maximum number of pages to keep in the cache, the least recently used pages are disposed of first
+      maxCachedPages: Infinity,
+      /**
+       * The global objects that actions in <code>data-motown-actions</code> and {@link MT.AppController#shortcuts} may
+       * use besides the controller's properties, as dotted paths. Other globals, such as <code>eval</code> or
+       * <code>setTimeout</code>, are never reachable from actions.
+       */
+      actionGlobals: ['WinJS.Navigation'],
+      // When true, the rules in the stylesheets of views are prefixed with the views' classes (see MT.loadView)
+      scopedStyles: false,
+      /**
+       * The language of the app's strings when it starts, defaults to the user's preferred language. See {@link MT#res} and
+       * {@link MT#setLanguage} to change it.
+       */
+      language: null,
+      /**
+       * The language to fall back to for strings missing in the resources of the selected language.
+       */
+      defaultLanguage: 'en-US',
+      /**
+       * The layout pages are shown in, unless their page definition has a 'layout' of its own (<code>null</code> for
+       * none). A layout is a view with its own controller, refs and actions that has an element with a
+       * <code>data-motown-slot</code> attribute, navigation replaces only the page in the slot. The layout stays in
+       * place while navigating between pages that share it.
+       *
+       *     layout: 'shell'
+       *     layout: { view: 'layouts/shell', controller: 'ShellController', config: { title: 'Orders' } }
+       *
+       * The name of a layout's view or an object with the 'view' and optionally its 'viewCls', 'controller',
+       * 'controllerClass', 'config', 'inject', 'scripts', 'models' and 'scopedStyles', as for regions (see
+       * {@link MT.PageController#setRegion}). The layout's controller gets the navigation life-cycle calls when the layout
+       * is shown and removed, it cannot cancel navigations.
+       */
+      layout: null,
+      // The layout that is shown, as loaded by _loadLayout
+      _activeLayout: null,
       // Maps the page's name to an index of a controller in the controllerCache
       _pageMap: null,
+      // The controller of the page whose view is in the DOM
       _activeController: null,
+      // The name of the page whose view is in the DOM
+      _activePage: null,
+      /**
+       * The default transition played when pages enter and leave the DOM, page definitions may override it with their
+       * own 'transition'. It is either 'none', 'page' for the WinJS enterPage/exitPage animations, a function or an
+       * object with separate 'enter' and 'exit' settings, for example: <code>{ enter: 'page', exit: 'none' }</code>.
+       * Functions are called with the page's view element, the phase ('enter' or 'exit') and <code>true</code> when
+       * the user went back so the transition should play in reverse. They return a Promise that completes when the
+       * transition is done.
+       */
+      transition: 'none',
+      // The token of the latest navigation that has not completed yet
+      _pendingToken: null,
+      // Completes when all of the navigations that have begun are done
+      _navigationQueue: null,
       _controllerCtorMap: null,
-      // Find a controller constructor function for the given page name
-      _resolveController: function(name) {
-
-        var controllerClassName = (name.charAt(0).toUpperCase() + name.slice(1) + 'Controller'),
-            pageDef = this._pageDefs[name],
-            controllerCtorKey = pageDef.controller || controllerClassName,
-            ctor = this._controllerCtorMap[controllerCtorKey];
-
-        // We have already resolved a controller with this key
-        if (ctor) {
-          return ctor;
-        }
-
-        // Load controller JS file dynamically before looking for the constructor function
-        var s = document.createElement('script'),
-            head = document.getElementsByTagName('head')[0],
-            // 'a.b.c.ControllerName -> /controllers/a/b/c/ControllerName.js
-            path = '/controllers/' + controllerCtorKey.replace('.', '/') + '.js';
-
-        if (MT.resourceExists(path)) {
-          s.setAttribute('src', path);
-          // This should evaluate the script asynchronously but does not in this environment, so no need for a Promise
-          head.appendChild(s);
-        }
+      // Compiled route patterns of the page definitions that declare a 'route', in declaration order
+      _routes: null,
+      // Copy of the navigation history taken before a navigation, restored when a controller cancels it
+      _historySnapshot: null,
+      // Names of the cached pages, ordered from least to most recently navigated to
+      _pageLRU: null,
+      // Page states restored from the session state, handed to controllers when their pages are loaded
+      _restoredPageStates: null,
+      // Maps the names of the pages that are being loaded to the Promises for their controllers
+      _pageLoads: null,
+      // Maps the names of services to their normalized definitions
+      _serviceDefs: null,
+      // Maps the names of singleton services to their instances
+      _serviceInstances: null,
+      /**
+       * Registers a service that can be injected into controllers, replacing any service registered under the same
+       * name. Use it in tests to substitute fakes for services.
+       *
+       *     MT.App.registerService('api', {
+       *       inject: ['settings'],
+       *       lifetime: 'singleton',
+       *       factory: function(settings) {
+       *         return new My.Api(settings.baseUrl);
+       *       }
+       *     });
+       *
+       * @param {String}          name The name of the service.
+       * @param {Function/Object} def  A factory function or an object with the service's 'factory', the names of the
+       * services it depends on in 'inject' and its 'lifetime': 'singleton' (the default) to share one instance or
+       * 'page' to create an instance for each controller. Factories are called with the instances of the services
+       * they depend on.
+       */
+      registerService: function(name, def) {
+        def = (typeof def === 'function') ? { factory: def } : MT.apply({}, def);
+        def.inject = def.inject || [];
+        def.lifetime = def.lifetime || 'singleton';
 
-        // Use 'controllerClass' when fully qualified name for a controller class differs from its path on disk
-        if (pageDef.controllerClass) {
-          ctor = WinJS.Utilities.getMember(pageDef.controllerClass, window);
-          if (!ctor) {
-            throw new Error('Controller class could not be found: ' + pageDef.controllerClass);
-          }
+        if (typeof def.factory !== 'function') {
+          throw new Error('Service must have a factory function: ' + name);
         }
-        else {
-          // Look for specified controller in our namespace -> conventional name in our namespace -> default
-          ctor = this.namespace[pageDef.controller] || this.namespace[controllerClassName] || MT.PageController;
+        if ((def.lifetime !== 'singleton') && (def.lifetime !== 'page')) {
+          throw new Error('Unknown lifetime: ' + def.lifetime + ' for service: ' + name);
         }
 
-        // Cache the resolution
-        this._controllerCtorMap[controllerCtorKey] = ctor;
-        return ctor;
+        this._serviceDefs[name] = def;
+        delete this._serviceInstances[name];
       },
       /**
-       * Loads the page's view and controller, returns the controller.
+       * Gets the instance of a service, creating it and the services it depends on if needed.
        *
+       * @param {String} name The name of the service.
+       * @return {Object} The service's instance, a new one for services with the 'page' lifetime.
+       * @throws {Error} If the service or one of its dependencies is not registered or the dependencies are circular.
+       */
+      getService: function(name) {
+        return this._resolveService(name, {}, []);
+      },
+      /**
        * @private
-       * @param {String} name The name of the page to load.
+       * Creates the instances of the named services for a controller, services with the 'page' lifetime are shared
+       * among the services created for the same controller.
+       * @return {Object} A map of the names of the services to their instances.
        */
-      _loadPage: function(name) {
-        var controller = controllerCache[this._pageMap[name]],
-            def = this._pageDefs[name],
+      _injectServices: function(names) {
+        var scope = {},
+            services = {},
             self = this;
 
-        if (!controller) {
-
-          if (!def) {
-            throw new Error('No page definition found for: ' + name);
-          }
-
-          return MT.loadView(def.view || name, def.viewCls).then(function(viewEl) {
+        names.forEach(function(name) {
+          services[name] = self._resolveService(name, scope, []);
+        });
+        return services;
+      },
+      // Gets or creates an instance of a service, 'scope' holds the instances of 'page' services, 'path' the dependents
+      _resolveService: function(name, scope, path) {
+        var def = this._serviceDefs[name],
+            instances, deps,
+            self = this;
 
-            // This must be done after the view has loaded because the controller's code may be loaded in a script tag in the view
-            var ctor = self._resolveController(name),
-                idx = controllerCache.length;
+        if (!def) {
+          throw new Error('Unknown service: ' + name + (path.length ? ' (required by: ' + path.join(' -> ') + ')' : ''));
+        }
+        if (path.indexOf(name) >= 0) {
+          throw new Error('Circular service dependencies: ' + path.concat(name).join(' -> '));
+        }
 
-             controller = controllerCache[idx] = new ctor(viewEl, def.config);
-             self._pageMap[name] = idx;
-             viewEl.setAttribute('data-motown-owner-index', idx);
-             return WinJS.UI.processAll(viewEl);
-            }).then(function() {
-              controller._initView();
-              return controller;
+        instances = (def.lifetime === 'page') ? scope : this._serviceInstances;
+        if (!instances.hasOwnProperty(name)) {
+          deps = def.inject.map(function(dep) {
+            if ((def.lifetime === 'singleton') && self._serviceDefs[dep] && (self._serviceDefs[dep].lifetime === 'page')) {
+              throw new Error('Singleton service: ' + name + ' cannot depend on page service: ' + dep);
+            }
+            return self._resolveService(dep, scope, path.concat(name));
           });
+          instances[name] = def.factory.apply(this, deps);
+        }
+        return instances[name];
+      },
+      /**
+       * Finds the page a navigation location refers to. Page names match exactly, otherwise the location is
+       * matched against the 'route' patterns of the page definitions in the order they were declared.
+       *
+       * @private
+       * @param {String} location The location passed to WinJS.Navigation.navigate
+       * @return {Object} An object with the page's 'name' and the route 'params' or <code>null</code> if there is no match.
+       */
+      _matchLocation: function(location) {
+        var routes = this._routes,
+            match, params, i, l;
+
+        if (typeof location !== 'string') {
+          return null;
+        }
+        if (this._pageDefs[location]) {
+          return { name: location, params: {} };
+        }
+        for (i = 0, l = routes.length; i < l; i++) {
+          match = routes[i].regex.exec(location);
+          if (match) {
+            params = {};
+            // A param with a malformed escape (e.g. 'product/100%') doesn't match
+            try {
+              routes[i].keys.forEach(function(key, k) {
+                if (match[k + 1] !== undefined) {
+                  params[key] = decodeURIComponent(match[k + 1]);
+                }
+              });
+            }
+            catch (e) {
+              continue;
+            }
+            return { name: routes[i].name, params: params };
+          }
+        }
+        return null;
+      },
+      /**
+       * Finds the constructor function of a page's or region's controller. The scripts listed in the definition's
+       * 'scripts' are loaded first, in order, then the models listed in its 'models' (see {@link MT#loadModel}) and
+       * the controller's script in /controllers/ if there is one.
+       *
+       * @private
+       * @param {String} name  The name of the page or region, used for the conventional controller name.
+       * @param {Object} [def] The definition of the page or region, defaults to the definition of the page called 'name'.
+       * @return {WinJS.Promise} A Promise that completes with the controller's constructor function.
+       */
+      _resolveController: function(name, def) {
+
+        var controllerClassName = (name.charAt(0).toUpperCase() + name.slice(1) + 'Controller'),
+            pageDef = def || this._pageDefs[name],
+            controllerCtorKey = pageDef.controller || controllerClassName,
+            // 'a.b.c.ControllerName -> /controllers/a/b/c/ControllerName.js
+            path = '/controllers/' + controllerCtorKey.replace(/\./g, '/') + '.js',
+            self = this;
+
+        return (pageDef.scripts || []).reduce(function(promise, script) {
+          return promise.then(function() {
+            return MT.loadScript(script);
+          });
+        }, WinJS.Promise.as()).then(function() {
+          return WinJS.Promise.join((pageDef.models || []).map(MT.loadModel));
+        }).then(function() {
+          // We have already resolved a controller with this key
+          if (self._controllerCtorMap[controllerCtorKey]) {
+            return;
+          }
+          // Load controller JS file dynamically before looking for the constructor function
+          if (MT.resourceExists(path)) {
+            return MT.loadScript(path);
+          }
+        }).then(function() {
+          var ctor = self._controllerCtorMap[controllerCtorKey];
+
+          if (ctor) {
+            return ctor;
+          }
+
+          // Use 'controllerClass' when fully qualified name for a controller class differs from its path on disk
+          if (pageDef.controllerClass) {
+            ctor = WinJS.Utilities.getMember(pageDef.controllerClass, window);
+            if (!ctor) {
+              throw new Error('Controller class could not be found: ' + pageDef.controllerClass);
+            }
+          }
+          else {
+            // Look for a registered controller -> specified controller in our namespace -> conventional name in our namespace
+            ctor = registeredController(controllerCtorKey) ||
+                   self.namespace[pageDef.controller] || self.namespace[controllerClassName];
+            if (!ctor) {
+              if (self.strictControllers) {
+                throw new Error('Controller could not be found: ' + controllerCtorKey + ' (for: ' + name + ')');
+              }
+              ctor = MT.PageController;
+            }
+          }
+
+          // Cache the resolution
+          self._controllerCtorMap[controllerCtorKey] = ctor;
+          return ctor;
+        });
+      },
+      /**
+       * Loads a view, creates its controller and the controllers of the view's regions.
+       *
+       * @private
+       * @param {String}   view        The name of the view to load.
+       * @param {String}   viewCls     The CSS class for the view's element.
+       * @param {Function} resolveCtor Returns a Promise for the controller's constructor, called once the view has loaded
+       * because the controller's code may be loaded in a script tag in the view.
+       * @param {Object}   config      The configuration passed to the controller's constructor.
+       * @param {String[]} [inject]    The names of the services to pass to the controller's constructor, in addition
+       * to the ones listed in the 'inject' property of the controller class.
+       * @param {Boolean}  [scopedStyles] Whether to scope the view's stylesheet to the view, defaults to the app's
+       * {@link MT.AppController#scopedStyles}.
+       * @return {WinJS.Promise} A Promise that completes with the controller once its view is ready.
+       */
+      _createController: function(view, viewCls, resolveCtor, config, inject, scopedStyles) {
+        var controller = null,
+            self = this;
+
+        return MT.loadView(view, viewCls, (scopedStyles !== undefined) ? scopedStyles : this.scopedStyles).then(function(viewEl) {
+          return resolveCtor().then(function(ctor) {
+            var idx = controllerCache.length,
+                services = self._injectServices((inject || []).concat(ctor.inject || ctor.prototype.inject || []));
+
+            controller = controllerCache[idx] = new ctor(viewEl, config, services);
+            viewEl.setAttribute('data-motown-owner-index', idx);
+            return WinJS.UI.processAll(viewEl);
+          });
+        }).then(function() {
+          return controller._loadRegions();
+        }).then(function() {
+          controller._initView();
+          return controller;
+        }).then(null, function(error) {
+          // Don't leave a half built controller in the cache
+          if (controller) {
+            controller.dispose();
+          }
+          throw error;
+        });
+      },
+      /**
+       * Loads the page's view and controller, returns the controller.
+       *
+       * @private
+       * @param {String} name The name of the page to load.
+       */
+      _loadPage: function(name) {
+        var controller = controllerCache[this._pageMap[name]],
+            def = this._pageDefs[name],
+            loads = this._pageLoads,
+            self = this;
+
+        if (!controller) {
+
+          if (!def) {
+            throw new Error('No page definition found for: ' + name);
+          }
+
+          // The page may be loading already, when it is being preloaded for example
+          if (!loads[name]) {
+            loads[name] = this._createController(def.view || name, def.viewCls, function() {
+              return self._resolveController(name);
+            }, def.config, def.inject, def.scopedStyles).then(function(created) {
+                controller = created;
+                delete loads[name];
+                self._pageMap[name] = parseInt(controller.viewEl.getAttribute('data-motown-owner-index'));
+                // Give the page back the state it saved before the app was terminated
+                if (self._restoredPageStates.hasOwnProperty(name)) {
+                  controller.restoreState(self._restoredPageStates[name]);
+                  delete self._restoredPageStates[name];
+                }
+                return controller;
+            }, function(error) {
+              delete loads[name];
+              throw error;
+            });
+          }
+          return loads[name];
         }
         else {
           return WinJS.Promise.wrap(controller);
         }
       },
+      /**
+       * Loads pages ahead of their first navigation while the application is idle: their views are rendered, their
+       * controllers are created and {@link MT.PageController#viewReady} is called. Preloading waits for the first page
+       * to be shown and for running navigations to complete before each page. Pages are loaded one at a time,
+       * pages that are loaded already are skipped. Pages defined with <code>preload: true</code> are preloaded after
+       * {@link MT.AppController#init} is called.
+       *
+       * Preloaded pages that have not been navigated to yet are the first to be evicted from the cache
+       * (see {@link MT.AppController#maxCachedPages}).
+       *
+       * @param {String/String[]} names The names of the pages to preload.
+       * @return {WinJS.Promise} A Promise that completes when all the pages are loaded. Failures are logged and do
+       * not stop the remaining pages from loading.
+       */
+      preload: function(names) {
+        var self = this,
+            // Don't compete with the first navigation, which happens after init when the app is activated
+            shown = this._activePage ? WinJS.Promise.as() : new WinJS.Promise(function(complete) {
+              WinJS.Navigation.addEventListener('navigated', function listener() {
+                WinJS.Navigation.removeEventListener('navigated', listener);
+                complete();
+              });
+            });
+
+        names = Array.isArray(names) ? names : [names];
+        return names.reduce(function(promise, name) {
+          return promise.then(function() {
+            return self._whenNavigationIdle();
+          }).then(function() {
+            return self._loadPage(name);
+          }).then(function() {
+            if (self._pageLRU.indexOf(name) < 0) {
+              self._pageLRU.unshift(name);
+            }
+          }, function(error) {
+            console.error('Failed to preload page: ' + name + ': ' + (error && (error.stack || error.message) || error));
+          });
+        }, shown);
+      },
+      /**
+       * @private
+       * Returns a Promise that completes once the app is idle and no navigation is running.
+       */
+      _whenNavigationIdle: function() {
+        var queue = this._navigationQueue,
+            self = this;
+
+        return whenIdle().then(function() {
+          return queue;
+        }).then(function() {
+          // Wait for the navigations that began meanwhile as well
+          if (self._navigationQueue !== queue || self._pendingToken) {
+            return self._whenNavigationIdle();
+          }
+        });
+      },
+      /**
+       * Plays the transition configured for a page.
+       *
+       * @private
+       * @param {String}  name    The name of the page.
+       * @param {String}  phase   'enter' or 'exit'
+       * @param {Element} viewEl  The page's view element.
+       * @param {Boolean} reverse <code>true</code> to play the transition in reverse.
+       * @return {WinJS.Promise} A Promise that completes when the transition is done.
+       */
+      _transition: function(name, phase, viewEl, reverse) {
+        var def = this._pageDefs[name] || {},
+            setting = (def.transition !== undefined) ? def.transition : this.transition;
+
+        if (setting && (typeof setting === 'object')) {
+          setting = setting[phase];
+        }
+        if (typeof setting === 'function') {
+          return WinJS.Promise.as(setting.call(this, viewEl, phase, reverse));
+        }
+        if (!transitions[setting || 'none']) {
+          throw new Error('Unknown transition: ' + setting);
+        }
+        return transitions[setting || 'none'][phase](viewEl, reverse);
+      },
+      /**
+       * Marks a page as the most recently used and disposes of the least recently used pages until no more than
+       * {@link MT.AppController#maxCachedPages} remain in the cache. The active page and pages defined with
+       * 'keepAlive' are never evicted.
+       *
+       * @private
+       * @param {String} name The name of the page that was navigated to.
+       */
+      _updatePageCache: function(name) {
+        var lru = this._pageLRU,
+            i = lru.indexOf(name),
+            candidate, def;
+
+        if (i >= 0) {
+          lru.splice(i, 1);
+        }
+        lru.push(name);
+
+        for (i = 0; (lru.length > this.maxCachedPages) && (i < lru.length - 1); ) {
+          candidate = lru[i];
+          def = this._pageDefs[candidate];
+          if (def && def.keepAlive) {
+            i++;
+          }
+          else {
+            this._evictPage(candidate);
+          }
+        }
+      },
+      /**
+       * Removes a page from the cache and disposes of its controller, the page is loaded again the next time it is
+       * navigated to.
+       *
+       * @private
+       * @param {String} name The name of the page to evict.
+       */
+      _evictPage: function(name) {
+        var idx = this._pageMap[name],
+            controller = controllerCache[idx],
+            i = this._pageLRU.indexOf(name);
+
+        console.debug('Evicting page: ' + name);
+        if (i >= 0) {
+          this._pageLRU.splice(i, 1);
+        }
+        delete this._pageMap[name];
+        if (controller) {
+          controllerCache[idx] = null;
+          controller.dispose();
+        }
+      },
+      /**
+       * Maps a URI onto a navigation location and state. The scheme is dropped and the rest of the URI's base is
+       * matched against the page names and routes, its parameters become the state:
+       * <code>'myapp://orders/17?highlight=3'</code> resolves to the location <code>'orders/17'</code> with the state
+       * <code>{ highlight: '3' }</code>. Use {@link MT#toURL} to build the URIs for tile and toast launch arguments.
+       *
+       * @param {String/Windows.Foundation.Uri} uri The URI, a location with optional parameters will do as well.
+       * @return {Object} An object with 'location' and 'state' properties or <code>null</code> if no page matches or
+       * the URI has malformed escapes.
+       */
+      resolveURL: function(uri) {
+        var parsed, location;
+
+        if (uri && (typeof uri === 'object')) {
+          uri = uri.rawUri || uri.absoluteUri;
+        }
+        if (!uri || (typeof uri !== 'string')) {
+          return null;
+        }
+        // URIs from protocol activations and launch arguments may have malformed escapes
+        try {
+          decodeURIComponent(uri.replace(/#.*$/, ''));
+        }
+        catch (e) {
+          return null;
+        }
+
+        parsed = MT.parseURL(uri);
+        location = parsed.base.replace(/^[a-z][a-z0-9+.\-]*:/i, '').replace(/^\/+|\/+$/g, '');
+        return this._matchLocation(location) ? { location: location, state: parsed.params } : null;
+      },
+      /**
+       * Navigates to the page a URI resolves to with {@link MT.AppController#resolveURL}.
+       *
+       * @param {String/Windows.Foundation.Uri} uri The URI to navigate to.
+       * @return {WinJS.Promise} The Promise returned by WinJS.Navigation.navigate
+       * @throws {Error} If the URI does not resolve to a page.
+       */
+      navigateToURL: function(uri) {
+        var target = this.resolveURL(uri);
+
+        if (!target) {
+          throw new Error('No page found for URL: ' + uri);
+        }
+        return WinJS.Navigation.navigate(target.location, target.state);
+      },
       /**
        * Override this method to initialize any application-scoped state or to perform any other one-time
        * initialization tasks. This method is called after the DOMContentLoaded event fires but
@@ -185,13 +1348,149 @@
        * @template
        */
       init: function() {},
+      /**
+       * Called when the application is activated. The default implementation restores the session of a terminated
+       * application or navigates to the page configured for the kind of activation in {@link MT.AppController#activation},
+       * launches that are not configured navigate to {@link MT.AppController#homePage}.
+       *
+       * @template
+       * @param {Number} kind          The [ActivationKind](http://msdn.microsoft.com/en-us/library/windows/apps/windows.applicationmodel.activation.activationkind.aspx)
+       * @param {Number} previousState The [ApplicationExecutionState](http://msdn.microsoft.com/en-us/library/windows/apps/windows.applicationmodel.activation.applicationexecutionstate.aspx)
+       * the application was in before it was activated.
+       * @param e The event passed to [WinJS.Application.onactivated](http://msdn.microsoft.com/en-us/library/windows/apps/br212679.aspx)
+       */
       onActivation: function (kind, previousState, e) {
-        if (kind === Windows.ApplicationModel.Activation.ActivationKind.launch) {
+        var launched = (kind === Windows.ApplicationModel.Activation.ActivationKind.launch),
+            target;
+
+        // Launches with arguments (from tiles and toasts) go where the arguments say instead of restoring the session
+        if (launched && !e.detail.arguments &&
+            (previousState === Windows.ApplicationModel.Activation.ApplicationExecutionState.terminated) &&
+            this._restoreSession()) {
+          return;
+        }
+
+        target = this._activationTarget(kind, e.detail);
+        if (target) {
+          WinJS.Navigation.navigate(target.location, target.state);
+        }
+        else if (launched) {
           WinJS.Navigation.navigate(this.homePage);
         }
       },
+      /**
+       * Maps the names of [ActivationKinds](http://msdn.microsoft.com/en-us/library/windows/apps/windows.applicationmodel.activation.activationkind.aspx)
+       * to the locations to navigate to when the application is activated that way:
+       *
+       *     activation: {
+       *       file: 'viewer',
+       *       protocol: function(args) {
+       *         return this.resolveURL(args.uri);
+       *       },
+       *       launch: function(args) {
+       *         return this.resolveURL(args.arguments);
+       *       }
+       *     }
+       *
+       * Functions are called with the activation's event args and return a location, an object with 'location' and
+       * 'state' properties or a falsy value to do the default. The page's controller finds the event args in the
+       * <code>activation</code> property of the context passed to its navigation life-cycle methods.
+       */
+      activation: null,
+      /**
+       * Resolves the location and state to navigate to for an activation using {@link MT.AppController#activation}.
+       *
+       * @private
+       * @param {Number} kind   The ActivationKind
+       * @param {Object} detail The activation's event args
+       * @return {Object} An object with 'location' and 'state' properties or <code>null</code> if the kind is not configured.
+       */
+      _activationTarget: function(kind, detail) {
+        var activation = this.activation || {},
+            kinds = Windows.ApplicationModel.Activation.ActivationKind,
+            kindName = Object.keys(activation).filter(function(name) {
+              return kinds[name] === kind;
+            })[0],
+            target = kindName ? activation[kindName] : null,
+            state;
+
+        if (typeof target === 'function') {
+          target = target.call(this, detail);
+        }
+        if (typeof target === 'string') {
+          target = { location: target };
+        }
+        if (!target || (typeof target.location !== 'string')) {
+          return null;
+        }
+
+        // Not enumerable so the event args (which hold WinRT objects) are left out when the history is saved
+        state = MT.apply({}, target.state);
+        Object.defineProperty(state, 'activation', { value: detail, enumerable: false, configurable: true, writable: true });
+        return { location: target.location, state: state };
+      },
+      /**
+       * Saves the navigation history and the state of each loaded page (see {@link MT.PageController#saveState})
+       * in [WinJS.Application.sessionState](http://msdn.microsoft.com/en-us/library/windows/apps/hh440965.aspx).
+       *
+       * @private
+       */
+      _saveSession: function() {
+        var history = WinJS.Navigation.history,
+            pages = {},
+            pageMap = this._pageMap;
+
+        Object.keys(pageMap).forEach(function(name) {
+          var controller = controllerCache[pageMap[name]],
+              state = controller && controller.saveState();
+
+          if (state !== undefined) {
+            pages[name] = state;
+          }
+        });
+
+        WinJS.Application.sessionState.motown = {
+          history: {
+            backStack: history.backStack,
+            forwardStack: history.forwardStack,
+            current: history.current
+          },
+          pages: pages
+        };
+      },
+      /**
+       * Navigates to the page the user left when the app was terminated and rebuilds the navigation history
+       * from the session state saved by {@link MT.AppController#_saveSession}.
+       *
+       * @private
+       * @return {Boolean} <code>true</code> if there was a session to restore, <code>false</code> otherwise.
+       */
+      _restoreSession: function() {
+        var session = WinJS.Application.sessionState.motown,
+            saved = session && session.history;
+
+        if (!saved || !saved.current || saved.current.initialPlaceholder || !this._matchLocation(saved.current.location)) {
+          return false;
+        }
+
+        console.debug('Restoring session at: ' + saved.current.location);
+        MT.apply(this._restoredPageStates, session.pages);
+        WinJS.Navigation.navigate(saved.current.location, saved.current.state).done(function() {
+          // The navigation may have been cancelled or redirected by the guard
+          if (WinJS.Navigation.location !== saved.current.location) {
+            return;
+          }
+          WinJS.Navigation.history = {
+            backStack: saved.backStack || [],
+            forwardStack: saved.forwardStack || [],
+            current: WinJS.Navigation.history.current
+          };
+        });
+        return true;
+      },
       /**
        * Override this method to perform an action before your application transitions from "running" to "suspended".
+       * The navigation history and the state of the loaded pages have already been saved when it is called.
        *
        * @template
        * @param event The event passed to [WinJS.Application.oncheckpoint](http://msdn.microsoft.com/en-us/library/windows/apps/br229839.aspx)
@@ -204,69 +1503,463 @@
        * @param event The event passed to [Windows.UI.WebUI.WebUIApplication.onresuming](http://msdn.microsoft.com/en-us/library/windows/apps/windows.ui.webui.webuiapplication.resuming.aspx)
        */
       onResume: function(event) {},
+      /**
+       * Override this method (or pass a function named 'guard' in the configuration passed to {@link MT#configApp}) to
+       * allow, cancel or redirect navigations before the target page's controller is loaded. Use it to send users to a
+       * login page for example.
+       *
+       *     guard: function(location, state, params) {
+       *       return this.signedIn || (location === 'login') ? true : 'login';
+       *     }
+       *
+       * @template
+       * @param {String} location The location being navigated to.
+       * @param {Object} state    The state passed to WinJS.Navigation.navigate
+       * @param {Object} params   The params matched by the target page's route.
+       * @return {Mixed} <code>false</code> to cancel the navigation, a location (or an object with 'location' and
+       * 'state' properties) to redirect to or anything else to proceed. A Promise for any of these values may
+       * be returned as well, the navigation is cancelled if it is rejected.
+       */
+      guard: function(location, state, params) {
+        return true;
+      },
       onBeforeNavigate: function (location, state, e) {
 
         console.debug('Before navigation from: ' + WinJS.Navigation.location + ' to: ' + location);
-        if (!this._pageDefs[location]) {
+        var match = this._matchLocation(location),
+            history = WinJS.Navigation.history,
+            me = this;
+
+        if (!match) {
           e.preventDefault();
-          //throw new Error('Unknown controller name: ' + location);
+          // Report it once WinJS is done cancelling this navigation
+          WinJS.Promise.timeout().done(function() {
+            me.onNavigationError(new WinJS.ErrorFromName('NotFound', 'No page found for: ' + location), location);
+          });
+          return;
         }
+
+        // WinJS has not changed the history yet, keep a copy to restore if a controller cancels this navigation
+        this._historySnapshot = {
+          backStack: history.backStack.slice(),
+          forwardStack: history.forwardStack.slice(),
+          current: history.current
+        };
+
+        e.detail.setPromise(WinJS.Promise.as(this.guard(location, state, match.params)).then(function(result) {
+          var redirect = (typeof result === 'string') ? { location: result } : result;
+
+          if (redirect && (typeof redirect.location === 'string')) {
+            console.debug('Navigation to: ' + location + ' redirected to: ' + redirect.location);
+            // Navigate once WinJS is done cancelling this navigation
+            WinJS.Promise.timeout().done(function() {
+              WinJS.Navigation.navigate(redirect.location, redirect.state);
+            });
+            return true;
+          }
+          return result === false; // Resolving to true cancels the navigation
+        }, function(error) {
+          console.debug('Navigation to: ' + location + ' rejected by guard: ' + error);
+          return true;
+        }));
       },
       onNavigate: function (location, state, e) {
 
         console.debug('Navigating to: ' + location);
-        var backStack = WinJS.Navigation.history.backStack,
-            forwardStack = WinJS.Navigation.history.forwardStack,
-            delta = e.detail.delta,
-            previous, previousIdx, // previousIdx === index of previous controller in controllerCache
-            context = {},
-            me = this;
+        var match = this._matchLocation(location),
+            snapshot = this._historySnapshot,
+            token = new NavigationToken(location, e.detail.delta),
+            // 'state' is only meaningful when the user used 'navigate', not 'back' or 'forward'
+            context = e.detail.delta ? {} : Object.create(state || {}),
+            me = this,
+            navigation,
+            run = function() {
+              return me._runNavigation(match.name, context, token, snapshot);
+            };
+
+        context.params = match.params;
+
+        // Navigations run one at a time, a newer navigation aborts the pending life-cycle of an older one
+        if (this._pendingToken) {
+          this._pendingToken.cancel();
+        }
+        this._pendingToken = token;
+
+        navigation = this._navigationQueue.then(run, run).then(function() {
+          if (me._pendingToken === token) {
+            me._pendingToken = null;
+          }
+        }, function(error) {
+          if (token.cancelled) {
+            console.debug('Navigation to: ' + location + ' aborted by a newer navigation');
+            return;
+          }
+          if (me._pendingToken === token) {
+            me._pendingToken = null;
+          }
+          // Report it once WinJS is done with this navigation, the handler may navigate elsewhere
+          WinJS.Promise.timeout().done(function() {
+            me.onNavigationError(error, location);
+          });
+        });
+        // The queue must keep going even when a navigation fails
+        this._navigationQueue = navigation.then(null, function() {});
+        e.detail.setPromise(navigation);
+      },
+      /**
+       * Runs the navigation life-cycle, moving from the active page to the named page.
+       *
+       * @private
+       * @param {String} name                The name of the page to navigate to.
+       * @param {Object} context             The context passed to the life-cycle methods.
+       * @param {NavigationToken} token      Cancelled when a newer navigation begins.
+       * @param {Object} snapshot            The navigation history to restore if the active page cancels.
+       * @return {WinJS.Promise} A Promise that completes when the sequence is complete or errors when it was aborted.
+       */
+      _runNavigation: function(name, context, token, snapshot) {
+        var previous = this._activeController,
+            previousName = this._activePage,
+            previousLayout = this._activeLayout,
+            reverse = token.delta < 0, // Going back plays the transitions in reverse
+            me = this,
+            next, layout;
+
+        // The previous controller may cancel by returning false (or a Promise for false) or a rejected Promise
+        return token.run(function() {
+          return previous && previous._navigationHook('beforeNavigateOut', context, token);
+        }).then(function(result) {
+          return result !== false;
+        }, function(error) {
+          if (token.cancelled) {
+            throw error;
+          }
+          console.debug('Navigation to: ' + token.location + ' rejected by controller: ' + error);
+          return false;
+        }).then(function(proceed) {
+          if (!proceed) {
+            console.debug('Navigation to: ' + token.location + ' cancelled');
+            WinJS.Navigation.history = snapshot;
+            return;
+          }
+          // The loads are cached and shared with other navigations, a cancelled navigation lets them complete
+          return token.run(function() {
+            return shield(WinJS.Promise.join([me._loadPage(name), me._loadLayout(name)]));
+          }).then(function(loaded) {
+            next = loaded[0];
+            layout = loaded[1];
+            if (previous) {
+              return token.run(function() {
+                return me._transition(previousName, 'exit', previous.viewEl, reverse);
+              }).then(function() {
+                previous.viewEl.parentNode.removeChild(previous.viewEl);
+                me._activeController = me._activePage = null;
+                updateViewStyles();
+                return token.run(function() {
+                  return previous._navigationHook('afterNavigateOut', context, token);
+                });
+              });
+            }
+          }).then(function() {
+            if (layout !== me._activeLayout) {
+              return token.run(function() {
+                return me._switchLayout(layout, context, token);
+              });
+            }
+          }).then(function() {
+            // Hidden until the enter transition, a cached view may still have the styles of its exit transition
+            resetTransition(next.viewEl);
+            next.viewEl.style.visibility = 'hidden';
+            (layout ? layout.slot : me._element).appendChild(next.viewEl);
+            updateViewStyles();
+            me._activeController = next;
+            me._activePage = name;
+            me._chord = null; // Shortcut chords don't carry over to another page
+            return token.run(function() {
+              return next._navigationHook('beforeNavigateIn', context, token);
+            });
+          }).then(function() {
+            return token.run(function() {
+              return next._processBindings();
+            });
+          }).then(function() {
+            return token.run(function() {
+              next.viewEl.style.visibility = '';
+              return me._transition(name, 'enter', next.viewEl, reverse);
+            });
+          }).then(function() {
+            next.viewEl.focus();
+            return next._navigationHook('afterNavigateIn', context, token);
+          }).then(function() {
+            // Only a completed navigation may evict pages, the previous page is needed for a rollback until then
+            me._updatePageCache(name);
+          });
+        }).then(null, function(error) {
+          if (!token.cancelled) {
+            me._rollbackNavigation(previous, previousName, next, snapshot, previousLayout);
+          }
+          throw error;
+        });
+      },
+      /**
+       * Puts the page that was active before a failed navigation back in place and restores the navigation history.
+       *
+       * @private
+       * @param {MT.PageController} previous     The controller of the page that was active before the navigation.
+       * @param {String}            previousName The name of the page that was active before the navigation.
+       * @param {MT.PageController} next         The controller of the page being navigated to, if it was loaded.
+       * @param {Object}            snapshot     The navigation history from before the navigation.
+       * @param {Object}            [previousLayout] The layout that was active before the navigation.
+       */
+      _rollbackNavigation: function(previous, previousName, next, snapshot, previousLayout) {
+        var hostEl = previousLayout ? previousLayout.slot : this._element,
+            activeLayout = this._activeLayout;
 
-        if (delta < 0) { // User went back
-          previousIdx = this._pageMap[forwardStack[Math.max(0, forwardStack.length + delta)].location];
+        console.debug('Rolling back navigation to: ' + WinJS.Navigation.location);
+        if (previous && previous.disposed) {
+          previous = previousName = null;
+        }
+        if (next && (next !== previous) && next.viewEl.parentNode) {
+          next.viewEl.parentNode.removeChild(next.viewEl);
         }
-        else if (delta > 0) { // User went forward
-          previousIdx = this._pageMap[backStack[Math.max(0, backStack.length - delta)].location];
+        if (activeLayout !== previousLayout) {
+          if (activeLayout && activeLayout.controller.viewEl.parentNode) {
+            this._element.removeChild(activeLayout.controller.viewEl);
+          }
+          if (previousLayout) {
+            this._element.appendChild(previousLayout.controller.viewEl);
+          }
+          this._activeLayout = previousLayout || null;
+        }
+        if (previous) {
+          resetTransition(previous.viewEl); // The exit transition may have faded it out
+          previous.viewEl.style.visibility = '';
+          if (previous.viewEl.parentNode !== hostEl) {
+            hostEl.appendChild(previous.viewEl);
+          }
+        }
+        this._activeController = previous || null;
+        this._activePage = previousName || null;
+        updateViewStyles();
+        WinJS.Navigation.history = snapshot;
+      },
+      /**
+       * Loads the layout of a page, see {@link MT.AppController#layout}. Layouts are loaded once and kept.
+       *
+       * @private
+       * @param {String} name The name of the page.
+       * @return {WinJS.Promise} A Promise for the layout's 'controller' and 'slot' element, or <code>null</code> if the
+       * page has no layout.
+       */
+      _loadLayout: function(name) {
+        var def = this._pageDefs[name] || {},
+            setting = (def.layout !== undefined) ? def.layout : this.layout,
+            options = (typeof setting === 'string') ? { view: setting } : setting,
+            layouts = this._layouts,
+            view = options && options.view,
+            self = this;
+
+        if (!options) {
+          return WinJS.Promise.as(null);
         }
-        else {  // User used 'navigate'
-          context = Object.create(state || {});
-          previousIdx = backStack.length ? this._pageMap[backStack[backStack.length - 1].location]
-                                         : null;
+        if (!view) {
+          throw new Error('A view must be specified for the layout of page: ' + name);
         }
 
-        previous = controllerCache[previousIdx];
+        if (!layouts[view]) {
+          layouts[view] = this._createController(view, options.viewCls, function() {
+            return self._resolveController(view.split('/').pop(), options);
+          }, options.config, options.inject, options.scopedStyles).then(function(controller) {
+            var slot = controller._ownElements('data-motown-slot')[0];
+
+            if (!slot) {
+              controller.dispose();
+              throw new Error('The layout view ' + view + ' has no element with a data-motown-slot attribute');
+            }
+            return { view: view, controller: controller, slot: slot };
+          }).then(null, function(error) {
+            delete layouts[view];
+            throw error;
+          });
+        }
+        return layouts[view];
+      },
+      /**
+       * Replaces the active layout, calling the navigation life-cycle methods of the controllers of the layouts. Their
+       * return values are ignored, layouts can't cancel navigations.
+       *
+       * @private
+       * @param {Object}          layout  The layout to show, <code>null</code> for none.
+       * @param {Object}          context The context passed to the life-cycle methods.
+       * @param {NavigationToken} token   The navigation's token.
+       * @return {WinJS.Promise} A Promise that completes when the layout is in place.
+       */
+      _switchLayout: function(layout, context, token) {
+        var previous = this._activeLayout,
+            self = this;
 
-        this._loadPage(location).done(function (controller) {
+        return WinJS.Promise.as(previous && previous.controller._navigationHook('beforeNavigateOut', context, token)).then(function() {
           if (previous) {
-            WinJS.Promise.as(previous.beforeNavigateOut(context)).then(function() {
-                me._element.removeChild(me._element.firstElementChild);
-                return WinJS.Promise.as(previous.afterNavigateOut(context));
-            }).then(function() {
-              me._element.appendChild(controller.viewEl);
-              return WinJS.Promise.as(controller.beforeNavigateIn(context)).then(function() {
-                return controller._processBindings();
-              });
-            }).done(function() {
-              controller.viewEl.focus();
-              controller.afterNavigateIn(context);
-            });
-         }
-         else {
-            me._element.appendChild(controller.viewEl);
-            WinJS.Promise.as(controller.beforeNavigateIn(context)).then(function() {
-             return controller._processBindings();
-           }).done(function () {
-             controller.viewEl.focus();
-             controller.afterNavigateIn(context);
+            self._element.removeChild(previous.controller.viewEl);
+          }
+          self._activeLayout = null;
+          return previous && previous.controller._navigationHook('afterNavigateOut', context, token);
+        }).then(function() {
+          if (!layout) {
+            return;
+          }
+          self._element.appendChild(layout.controller.viewEl);
+          self._activeLayout = layout;
+          updateViewStyles();
+          return layout.controller._navigationHook('beforeNavigateIn', context, token).then(function() {
+            return layout.controller._processBindings();
+          }).then(function() {
+            return layout.controller._navigationHook('afterNavigateIn', context, token);
           });
-         }
         });
-      }
-      //TODO: Add global key listener template methods that listen for all key events on the document's body element.
-    }),
-
-    /**
-     * @property App
+      },
+      /**
+       * Called when a navigation fails: when no page matches its location, a page's view or controller fails to load
+       * or a navigation life-cycle method throws or returns a rejected Promise (other than
+       * {@link MT.PageController#beforeNavigateOut}, which cancels the navigation that way). The navigation has been
+       * rolled back when this is called, the previous page is still active.
+       *
+       * The default implementation navigates to {@link MT.AppController#notFoundPage} when no page matched and to
+       * {@link MT.AppController#errorPage} otherwise, passing the state <code>{ error: error, location: location }</code>.
+       * The error is logged when there is no page to navigate to.
+       *
+       * @template
+       * @param {Error}  error    The error, its name is 'NotFound' when no page matched the location.
+       * @param {String} location The location of the navigation that failed.
+       */
+      onNavigationError: function(error, location) {
+        var page = ((error && error.name === 'NotFound') && this.notFoundPage) || this.errorPage;
+
+        if (page && (location !== page)) {
+          WinJS.Navigation.navigate(page, { error: error, location: location });
+        }
+        else {
+          console.error('Navigation to: ' + location + ' failed: ' + (error && (error.stack || error.message) || error));
+        }
+      },
+      /**
+       * The name of the page to navigate to when a navigation fails, see {@link MT.AppController#onNavigationError}.
+       */
+      errorPage: null,
+      /**
+       * The name of the page to navigate to when no page matches a location, defaults to
+       * {@link MT.AppController#errorPage}.
+       */
+      notFoundPage: null,
+      /**
+       * The app-wide keyboard shortcuts, mapping shortcuts to actions. Page definitions may have 'shortcuts' of their
+       * own, which override the app's shortcuts for the same keys while the page is active.
+       *
+       *     shortcuts: { 'ctrl+s': 'save', 'alt+left': 'back', 'ctrl+k ctrl+c': 'comment(true)', 'f5': 'refresh' }
+       *
+       * A shortcut is a key ('a'-'z', '0'-'9', 'enter', 'esc', 'left', ... or a name in WinJS.Utilities.Key) with any of
+       * the 'ctrl', 'alt', 'shift' and 'meta' modifiers joined by '+'. Shortcuts separated by spaces form a chord, the
+       * keys of which must be pressed in turn within {@link MT.AppController#chordTimeout}.
+       *
+       * Actions have the syntax of <code>data-motown-actions</code>, they call methods of the active page's controller
+       * or else of this AppController (such as {@link MT.AppController#back}) with the keyboard event. Functions are
+       * called with the event and the active page's controller as <code>this</code>. Shortcuts without 'ctrl', 'alt'
+       * or 'meta' are ignored while typing in text inputs, the events of handled shortcuts are cancelled.
+       */
+      shortcuts: null,
+      /**
+       * The time in milliseconds to press the next key of a chord in {@link MT.AppController#shortcuts}.
+       */
+      chordTimeout: 1500,
+      // The compiled app-wide shortcuts
+      _shortcuts: null,
+      // Maps page names to their compiled shortcuts combined with the app's
+      _shortcutTables: null,
+      // The key strokes of the chord typed so far and the time of the last one
+      _chord: null,
+      _chordTime: 0,
+      /**
+       * @private
+       * Runs the action of the shortcut matching a keydown event in the active page's shortcuts.
+       */
+      _handleShortcut: function(e) {
+        var controller = this._activeController,
+            shortcuts = controller && this._shortcutTables[this._activePage],
+            stroke = keyStroke(e.ctrlKey, e.altKey, e.shiftKey, e.metaKey, e.keyCode),
+            Key = WinJS.Utilities.Key,
+            self = this,
+            chord, candidates, match;
+
+        // The object an action is called on, the page's controller if it has the action or else the app's
+        function targetOf(action) {
+          return (action.callee[0] in controller) ? controller : self;
+        }
+
+        // Only shortcuts with an action that can run claim the key, others let it pass through
+        function runnable(shortcut) {
+          var action = shortcut.action;
+          return typeof action === 'function' ||
+                 typeof resolveActionPath(action.callee, targetOf(action), { $event: e }).value === 'function';
+        }
+
+        if (!shortcuts || e.defaultPrevented ||
+            [Key.shift, Key.ctrl, Key.alt, Key.leftWindows, Key.rightWindows].indexOf(e.keyCode) !== -1) {
+          return;
+        }
+        if (isTextInput(e.target) && !(e.ctrlKey || e.altKey || e.metaKey)) {
+          shortcuts = [];
+        }
+
+        chord = (this._chord && (Date.now() - this._chordTime <= this.chordTimeout)) ? this._chord.concat(stroke) : [stroke];
+        candidates = shortcuts.filter(function(shortcut) {
+          return chord.every(function(s, i) { return shortcut.strokes[i] === s; });
+        }).filter(runnable);
+        // A key that doesn't continue the chord may start a new one
+        if (!candidates.length && chord.length > 1) {
+          chord = [stroke];
+          candidates = shortcuts.filter(function(shortcut) {
+            return shortcut.strokes[0] === stroke;
+          }).filter(runnable);
+        }
+
+        this._chord = null;
+        if (!candidates.length) {
+          return;
+        }
+        e.preventDefault();
+        match = candidates.filter(function(shortcut) { return shortcut.strokes.length === chord.length; })[0];
+        if (!match) {
+          this._chord = chord;
+          this._chordTime = Date.now();
+          return;
+        }
+
+        if (typeof match.action === 'function') {
+          match.action.call(controller, e);
+        }
+        else {
+          runAction(match.action, targetOf(match.action), { $event: e });
+        }
+      },
+      /**
+       * Navigates back if possible. Used as the action of shortcuts such as <code>'alt+left': 'back'</code>.
+       */
+      back: function() {
+        if (WinJS.Navigation.canGoBack) {
+          WinJS.Navigation.back();
+        }
+      },
+      /**
+       * Navigates forward if possible. Used as the action of shortcuts such as <code>'alt+right': 'forward'</code>.
+       */
+      forward: function() {
+        if (WinJS.Navigation.canGoForward) {
+          WinJS.Navigation.forward();
+        }
+      }
+    }),
+
+    /**
+     * @property App
      * The instance of {@link MT.AppController} representing the currently running application.
      *
      * @member MT
@@ -291,7 +1984,10 @@
     },
 
     // Returns a Promise w/ completion value of the loaded view's element (WinJS.UI.processAll is NOT called)
-    loadView: function(view, viewCls) {
+    // The view's stylesheet is enabled only while the view is in the document (the app toggles it when navigating), a
+    // 'scoped' stylesheet has its rules prefixed with the view's class so they don't apply outside of the view.
+    // The view is localized with MT.localize.
+    loadView: function(view, viewCls, scoped) {
       var viewName = view.replace(/.html$/,''),
           viewPath = '/views/' + viewName + '.html',
           viewCSSPath = '/css/' + viewName + '.css',
@@ -299,27 +1995,59 @@
           cssLoaded = false,
           i, l;
 
+      viewCls = viewCls || viewName.replace('/', '-'); // View @ /views/viewcategory/viewname.html gets class: viewcategory-viewname
+
       // Load /css/viewcategory/viewname.css (if needed)
-      if (MT.resourceExists(viewCSSPath)) {
+      if (!styleLoads[viewCSSPath] && MT.resourceExists(viewCSSPath)) {
         for (i = 0, l = document.styleSheets.length; i < l; i++) {
           if (document.styleSheets[i].href === viewCSSPath) {
             cssLoaded = true;
             break;
           }
         }
-        if (!cssLoaded) {
+        if (!cssLoaded && scoped) {
+          styleLoads[viewCSSPath] = WinJS.xhr({ url: viewCSSPath }).then(function(req) {
+            var styleEl = document.createElement('style');
+            styleEl.setAttribute('data-motown-css', viewCSSPath);
+            styleEl.textContent = scopeCSS(req.responseText, '.' + viewCls, viewCSSPath.replace(/[^\/]*$/, ''));
+            document.head.appendChild(styleEl);
+            // Enabled once the view is in the document
+            updateViewStyles();
+          }, function(error) {
+            // Allow another attempt
+            delete styleLoads[viewCSSPath];
+            throw error;
+          });
+        }
+        else if (!cssLoaded) {
           var cssEl = document.createElement('link');
           cssEl.rel = 'stylesheet';
           cssEl.href = viewCSSPath;
+          cssEl.setAttribute('data-motown-css', viewCSSPath);
           document.head.appendChild(cssEl);
-          //TODO: Disable the stylesheet for this view's page in the document when viewEl is not in the DOM.
+          updateViewStyles();
+          styleLoads[viewCSSPath] = WinJS.Promise.as();
         }
       }
+      // Stylesheets loaded here are toggled with the view
+      if (styleLoads[viewCSSPath]) {
+        viewEl.setAttribute('data-motown-css', viewCSSPath);
+      }
 
       WinJS.Utilities.addClass(viewEl, 'motown-view');
-      WinJS.Utilities.addClass(viewEl, viewCls || viewName.replace('/', '-')); // View @ /views/viewcategory/viewname.html gets class: viewcategory-viewname
-
-      return WinJS.UI.Fragments.renderCopy(viewPath, viewEl);
+      WinJS.Utilities.addClass(viewEl, viewCls);
+
+      // The stylesheet and resource loads are shared, cancelling this load must not cancel them. Views are rendered
+      // without the strings if the language's resources fail to load.
+      return WinJS.Promise.join([
+        styleLoads[viewCSSPath] && shield(styleLoads[viewCSSPath]),
+        shield(languageLoad).then(null, function() {})
+      ]).then(function() {
+        return WinJS.UI.Fragments.renderCopy(viewPath, viewEl);
+      }).then(function() {
+        MT.localize(viewEl);
+        return viewEl;
+      });
     },
 
     // Takes a view name and controller instance, loads the view and hooks it up to the controller and returns a Promise that provides the controller as its value
@@ -334,6 +2062,8 @@
 
           }).then(function(viewEl) {
           controller.viewEl = viewEl;
+          return controller._loadRegions();
+        }).then(function() {
           controller._initView();
           return controller;
         });
@@ -342,6 +2072,335 @@
         throw 'You must provide a view name and a controller instance to connect it to';
       }
     },
+    /**
+     * Defines a controller class and registers it under a name. Page definitions and regions refer to registered
+     * controllers by name with their 'controller' property, pages without one use the controller registered under
+     * their conventional name: the page 'orders' uses 'OrdersController' or 'Orders'.
+     *
+     *     MT.defineController('Orders', null, {
+     *       viewReady: function(view) { ... }
+     *     });
+     *
+     *     MT.defineController('ArchivedOrders', 'Orders', {
+     *       constructor: function(element, config, services) {
+     *         MT.getController('Orders').apply(this, arguments);
+     *       }
+     *     });
+     *
+     * @member MT
+     * @param {String}          name      The name to register the controller under.
+     * @param {String/Function} [base]    The name of a registered controller or a constructor to inherit from,
+     * defaults to {@link MT.PageController}.
+     * @param {Object}          [members] The controller's instance members, an own 'constructor' function is used as
+     * the constructor. The default constructor calls the base constructor.
+     * @return {Function} The controller's constructor.
+     * @throws {Error} If the name is taken or the base controller is not registered.
+     */
+    defineController: function(name, base, members) {
+      var baseCtor, ctor;
+
+      if (!name || (typeof name !== 'string')) {
+        throw new Error('Controllers must be defined with a name');
+      }
+      if (name in controllerRegistry) {
+        throw new Error('Controller is already defined: ' + name);
+      }
+
+      if (typeof base === 'string') {
+        baseCtor = MT.getController(base);
+      }
+      else {
+        baseCtor = base || MT.PageController;
+      }
+
+      members = MT.apply({}, members);
+      if (members.hasOwnProperty('constructor')) {
+        ctor = members.constructor;
+        delete members.constructor;
+      }
+      else {
+        ctor = function() {
+          baseCtor.apply(this, arguments);
+        };
+      }
+
+      ctor = controllerRegistry[name] = WinJS.Class.derive(baseCtor, ctor, members);
+      return ctor;
+    },
+    /**
+     * Finds a controller defined with {@link MT#defineController}.
+     *
+     * @member MT
+     * @param {String} name The name the controller was registered under.
+     * @return {Function} The controller's constructor.
+     * @throws {Error} If no controller is registered under the name.
+     */
+    getController: function(name) {
+      if (!(name in controllerRegistry)) {
+        throw new Error('Unknown controller: ' + name);
+      }
+      return controllerRegistry[name];
+    },
+    /**
+     * Defines a model class (see {@link MT.Model}) and registers it under a name.
+     *
+     *     MT.defineModel('Customer', null, {
+     *       fields: {
+     *         first: '',
+     *         last: '',
+     *         orders: function() { return []; } // Functions create the default for each instance
+     *       },
+     *       computed: {
+     *         fullName: {
+     *           deps: ['first', 'last'],
+     *           get: function() { return this.first + ' ' + this.last; }
+     *         }
+     *       },
+     *       greet: function() { ... }
+     *     });
+     *
+     * @member MT
+     * @param {String}          name      The name to register the model under.
+     * @param {String/Function} [base]    The name of a registered model or a model constructor to inherit from,
+     * defaults to {@link MT.Model}.
+     * @param {Object}          [members] The model's instance members. 'fields' maps the names of its fields to their
+     * default values, 'computed' maps the names of computed properties to getter functions or objects with a 'get'
+     * function and the names of the fields it depends on in 'deps' (all fields when omitted). An own 'constructor'
+     * function is used as the constructor.
+     * @return {Function} The model's constructor.
+     * @throws {Error} If the name is taken or the base model is not registered.
+     */
+    defineModel: function(name, base, members) {
+      var baseCtor, ctor, fields, computed;
+
+      if (!name || (typeof name !== 'string')) {
+        throw new Error('Models must be defined with a name');
+      }
+      if (name in modelRegistry) {
+        throw new Error('Model is already defined: ' + name);
+      }
+
+      if (typeof base === 'string') {
+        baseCtor = MT.getModel(base);
+      }
+      else {
+        baseCtor = base || MT.Model;
+      }
+
+      members = MT.apply({}, members);
+      fields = members.fields || {};
+      computed = members.computed || {};
+      delete members.fields;
+      delete members.computed;
+
+      if (members.hasOwnProperty('constructor')) {
+        ctor = members.constructor;
+        delete members.constructor;
+      }
+      else {
+        ctor = function(data) {
+          baseCtor.call(this, data);
+        };
+      }
+
+      ctor = WinJS.Class.derive(baseCtor, ctor, members, { fromJSON: baseCtor.fromJSON });
+      Object.defineProperties(ctor.prototype, WinJS.Binding.expandProperties(fields));
+      ctor.prototype._fields = MT.apply(MT.apply({}, baseCtor.prototype._fields), fields);
+      ctor.prototype._computed = MT.apply({}, baseCtor.prototype._computed);
+      Object.keys(computed).forEach(function(prop) {
+        var def = (typeof computed[prop] === 'function') ? { get: computed[prop] } : computed[prop];
+
+        ctor.prototype._computed[prop] = def;
+        Object.defineProperty(ctor.prototype, prop, {
+          get: function() { return def.get.call(this); },
+          enumerable: true,
+          configurable: true
+        });
+      });
+
+      modelRegistry[name] = ctor;
+      return ctor;
+    },
+    /**
+     * Finds a model defined with {@link MT#defineModel}.
+     *
+     * @member MT
+     * @param {String} name The name the model was registered under.
+     * @return {Function} The model's constructor.
+     * @throws {Error} If no model is registered under the name.
+     */
+    getModel: function(name) {
+      if (!(name in modelRegistry)) {
+        throw new Error('Unknown model: ' + name);
+      }
+      return modelRegistry[name];
+    },
+    /**
+     * Loads a model's script from /models/ (if it is not defined yet) and finds the model defined in it with
+     * {@link MT#defineModel}: 'a.b.Customer' is loaded from /models/a/b/Customer.js. Page definitions list the models
+     * their controllers use in 'models' to have them loaded before the controllers are created.
+     *
+     * @member MT
+     * @param {String} name The name of the model.
+     * @return {WinJS.Promise} A Promise that completes with the model's constructor.
+     */
+    loadModel: function(name) {
+      var path = '/models/' + name.replace(/\./g, '/') + '.js';
+
+      if ((name in modelRegistry) || !MT.resourceExists(path)) {
+        return WinJS.Promise.as().then(function() {
+          return MT.getModel(name);
+        });
+      }
+      return MT.loadScript(path).then(function() {
+        return MT.getModel(name);
+      });
+    },
+    /**
+     * Loads a script by adding a script tag for it to the document's head. Scripts are only added once, loading a
+     * script that is loaded already (or being loaded) waits for the same load. A script that failed to load is added
+     * again the next time it is loaded.
+     *
+     * @member MT
+     * @param {String} path The path of the script in the application package (absolute path)
+     * @return {WinJS.Promise} A Promise that completes when the script has run and errors if it failed to load.
+     */
+    loadScript: function(path) {
+      var load = scriptLoads[path];
+
+      if (!load) {
+        load = scriptLoads[path] = new WinJS.Promise(function(complete, error) {
+          var s;
+
+          // Included in the page already
+          if (WinJS.Utilities.query('script[src="' + path + '"]').length) {
+            complete(path);
+            return;
+          }
+
+          s = document.createElement('script');
+          s.addEventListener('load', function() {
+            complete(path);
+          }, false);
+          s.addEventListener('error', function() {
+            s.parentNode.removeChild(s);
+            error(new Error('Failed to load script: ' + path));
+          }, false);
+          s.setAttribute('src', path);
+          document.head.appendChild(s);
+        });
+        // Allow another attempt
+        load.then(null, function() {
+          if (scriptLoads[path] === load) {
+            delete scriptLoads[path];
+          }
+        });
+      }
+      // Callers get a wrapper, cancelling it must not leave a cancelled load in the cache
+      return shield(load);
+    },
+    /**
+     * Finds a localized string in the resources of the language selected with {@link MT#setLanguage}. Resources are
+     * loaded from /strings/&lt;language&gt;/resources.resjson, strings missing there are looked up for the language's
+     * primary subtag ('fr' for 'fr-CA') and then for the app's {@link MT.AppController#defaultLanguage}.
+     *
+     * Placeholders such as <code>{name}</code> or <code>{0}</code> are replaced with the values in 'args'. When 'args'
+     * has a numeric 'count', the plural form for it is used if the resources have one: the key followed by the plural
+     * category of the language in brackets ('zero', 'one', 'two', 'few', 'many' or 'other'), <code>[zero]</code> is
+     * used for 0 in any language.
+     *
+     *     // "items": "{count} items", "items[one]": "{count} item", "items[zero]": "No items"
+     *     MT.res('items', { count: 1 }); // '1 item'
+     *
+     * @member MT
+     * @param {String} key    The key of the string in the resources.
+     * @param {Mixed}  [args] An object or array with the values for the placeholders.
+     * @return {String} The formatted string, or the key if there is no string for it.
+     */
+    res: function(key, args) {
+      var count = args && args.count,
+          value;
+
+      if (typeof count === 'number') {
+        value = ((count === 0) && lookupResource(key + '[zero]')) ||
+                lookupResource(key + '[' + pluralCategory(language || languageChain(null)[0], count) + ']');
+      }
+      value = value || lookupResource(key);
+      if (value === undefined) {
+        return key;
+      }
+      return value.replace(/\{(\w+)\}/g, function(match, name) {
+        return (args && args[name] !== undefined) ? String(args[name]) : match;
+      });
+    },
+    /**
+     * Selects the language of the app's strings, loading its resources. Views loaded already are localized again.
+     * When it is called again before the resources are loaded, the language of the last call is selected.
+     *
+     * @member MT
+     * @param {String} lang A language tag such as 'en-US'.
+     * @return {WinJS.Promise} A Promise that completes with the language once its resources are loaded.
+     */
+    setLanguage: function(lang) {
+      var load = WinJS.Promise.join(languageChain(lang).map(loadResources)).then(function() {
+        // Superseded by a later call
+        if (languageLoad !== load) {
+          return lang;
+        }
+        language = lang;
+        controllerCache.forEach(function(controller) {
+          if (controller && controller.viewEl) {
+            MT.localize(controller.viewEl);
+          }
+        });
+        return lang;
+      });
+
+      languageLoad = load;
+      return shield(load);
+    },
+    /**
+     * @member MT
+     * @return {String} The language selected with {@link MT#setLanguage}.
+     */
+    getLanguage: function() {
+      return language;
+    },
+    /**
+     * Fills the elements with a <code>data-motown-res</code> attribute in an element (and the element itself) with
+     * strings from the resources (see {@link MT#res}). The attribute holds the key of the string for the element's
+     * text or an object mapping element properties to keys, with the keys for attributes in 'attributes':
+     *
+     *     <h1 data-motown-res="orders.title"></h1>
+     *     <input data-motown-res="{ title: 'search.tip', attributes: { placeholder: 'search.hint' } }">
+     *
+     * Views are localized when they are loaded, call this for content added to them later.
+     *
+     * @member MT
+     * @param {HTMLElement} el The element to localize.
+     */
+    localize: function(el) {
+      var els = WinJS.Utilities.query('*[data-motown-res]', el);
+
+      if (el.hasAttribute('data-motown-res')) {
+        els.unshift(el);
+      }
+      els.forEach(function(el) {
+        var decl = el.getAttribute('data-motown-res').trim(),
+            options = (decl[0] === '{') ? WinJS.UI.optionsParser(decl) : { textContent: decl };
+
+        Object.keys(options).forEach(function(prop) {
+          if (prop === 'attributes') {
+            Object.keys(options.attributes).forEach(function(attr) {
+              el.setAttribute(attr, MT.res(options.attributes[attr]));
+            });
+          }
+          else {
+            el[prop] = MT.res(options[prop]);
+          }
+        });
+      });
+    },
     /**
      * Determines if a file exists at a given path in the running application's app package.
      *
@@ -375,206 +2434,1020 @@
         for (i = 0, l = Math.min(commands.length, 3); i < l; i++) {
           md.commands.append(new Windows.UI.Popups.UICommand(commands[i], null, i));
         }
-      }
+      }
+
+      if (defaultIdx) {
+        md.defaultCommandIndex = defaultIdx;
+      }
+      if (cancelIdx) {
+        md.cancelCommandIndex = cancelIdx;
+      }
+
+      return md.showAsync();
+    },
+
+    /**
+     * Creates a URL with base and parameter components.
+     * Use the returned value for calls to WinJS.xhr
+     *
+     *     MT.toURL('http://my.host.net/base', {
+     *       param1: 'value 1',
+     *       param2: 2112
+     *     });
+     *
+     * @member MT
+     * @param  {String} base   The base URI
+     * @param  {Object} params A map of name/value pairs to use as URL parameters
+     * @return {String} The full URL, uri-encoded
+     */
+    toURL: function(base, params) {
+      var names = Object.keys(params || {}),
+          pairs = new Array(names.length),
+          i, l;
+
+      if (names.length) {
+        for (i = 0, l = names.length; i < l; i++) {
+          pairs[i] = [encodeURIComponent(names[i]), encodeURIComponent(params[names[i]])].join('=');
+        }
+        return [base, pairs.join('&')].join('?');
+      }
+      else {
+        return base;
+      }
+    },
+
+    /**
+     * Splits a URL into its base and parameter components, the inverse of {@link MT#toURL}:
+     *
+     *     MT.parseURL('myapp://orders/17?highlight=3');
+     *     // -> { base: 'myapp://orders/17', params: { highlight: '3' } }
+     *
+     * Parameter values are decoded but remain Strings, values with malformed escapes are left as they are. A
+     * '#fragment' is ignored.
+     *
+     * @member MT
+     * @param  {String} url The URL to parse
+     * @return {Object} An object with the 'base' URI and a map of the URL's 'params'
+     */
+    parseURL: function(url) {
+      var queryIdx,
+          params = {},
+          // Values with malformed escapes (from outside the app) are left as they are
+          decode = function(value) {
+            try {
+              return decodeURIComponent(value);
+            }
+            catch (e) {
+              return value;
+            }
+          };
+
+      url = url.replace(/#.*$/, ''); // The fragment is not part of the query
+      queryIdx = url.indexOf('?');
+
+      if (queryIdx < 0) {
+        return { base: url, params: params };
+      }
+
+      url.slice(queryIdx + 1).split('&').forEach(function(pair) {
+        var eqIdx = pair.indexOf('=');
+
+        if (!pair.length) {
+          return;
+        }
+        if (eqIdx < 0) {
+          params[decode(pair)] = '';
+        }
+        else {
+          params[decode(pair.slice(0, eqIdx))] = decode(pair.slice(eqIdx + 1));
+        }
+      });
+      return { base: url.slice(0, queryIdx), params: params };
+    },
+
+    //TODO: Make this more general purpose
+    /**
+     * @private
+     * @param startEl
+     * @return {Object}
+     */
+    findParent: function(startEl) {
+      if (startEl) {
+        if (startEl.hasAttribute('data-motown-owner-index')) {
+          return startEl;
+        }
+        else {
+          return MT.findParent(startEl.parentNode);
+        }
+      }
+      else  { return null; }
+    },
+
+    /**
+     * Entry point function for starting Motown applications.
+     * The <code>config</code> parameter is used to construct an instance of {@link MT.AppController}.
+     * You can override any of the template methods in {@link MT.AppController} such as  {@link MT.AppController#onCheckpoint}
+     * to suit the needs of your application.
+     *
+     * @member MT
+     * @param {Object}  config             The application configuration
+     * @param {String}  [config.name]      The application name
+     * @param {String}  [config.namespace] The namespace for the application (defaults to window)
+     * @param {Object}  [config.converters]  Maps names to converter functions for bindings, or to objects with 'toView'
+     * and 'toModel' functions for two-way bindings declared with <code>data-motown-bind</code>
+     * @param {Object}  [config.services]    Maps the names of services to their definitions, see {@link MT.AppController#registerService}
+     * @param {Boolean} [config.strictControllers=false] <code>true</code> to make pages and regions whose controller
+     * cannot be found an error instead of using {@link MT.PageController}. Use <code>controllerClass: 'MT.PageController'</code>
+     * for pages that need no controller of their own.
+     * @param {String}  [config.errorPage]   The page to navigate to when a navigation fails
+     * @param {String}  [config.notFoundPage] The page to navigate to when no page matches a location
+     * @param {Object}  [config.activation]  Maps kinds of activation to pages, see {@link MT.AppController#activation}
+     * @param {Mixed}   [config.transition='none'] The transition played when pages change, see {@link MT.AppController#transition}
+     * @param {Boolean} [config.scopedStyles=false] <code>true</code> to prefix the rules in the stylesheets of views
+     * (/css/viewname.css) with the views' classes so they only apply inside their views. Each view's stylesheet is
+     * enabled only while the view is in the document either way.
+     * @param {Mixed}   [config.layout] The layout pages are shown in, see {@link MT.AppController#layout}
+     * @param {String}  [config.language] The language of the app's strings, see {@link MT.AppController#language}
+     * @param {String}  [config.defaultLanguage='en-US'] The language to fall back to for missing strings
+     * @param {String[]} [config.actionGlobals] The globals actions may use, see {@link MT.AppController#actionGlobals}
+     * @param {Object}  [config.shortcuts] The app-wide keyboard shortcuts, see {@link MT.AppController#shortcuts}
+     * @param {Number}  [config.maxCachedPages=Infinity] The maximum number of pages to keep loaded. The least recently
+     * used pages are disposed of first, except for pages defined with <code>keepAlive: true</code>.
+     * @param {Mixed[]} config.pages       An array of page definition objects. A page definition is either the page's
+     * name or an object with a 'name' and the optional 'view', 'viewCls', 'controller', 'controllerClass', 'config',
+     * 'scripts', 'models', 'inject', 'keepAlive', 'preload', 'transition', 'layout', 'shortcuts', 'scopedStyles' and
+     * 'route' properties. The 'scripts' are loaded in order before the page's controller is created, the services named
+     * in 'inject' are passed to its constructor. A 'route' such as <code>'product/:id/:tab?'</code> lets a location
+     * like <code>'product/42/reviews'</code> navigate to the page, params ending with '?' are optional. The matched
+     * params are passed to the page's controller in <code>context.params</code>.
+     */
+    configApp: function(config) {
+      contentLoadedPromise = WinJS.Utilities.ready(function() {
+        var hostEl = document.createElement('div');
+        hostEl.style.width = hostEl.style.height = '100%';
+        hostEl.style.backgroundColor = 'rgba(0,0,0,0)';
+        hostEl.id = 'motownapp-host';
+        document.body.appendChild(hostEl);
+
+        MT.App = new MT.AppController(hostEl, config);
+        Object.freeze(MT);
+        MT.setLanguage(MT.App.language || userLanguage() || MT.App.defaultLanguage);
+        MT.App.init();
+
+        MT.App.preload(Object.keys(MT.App._pageDefs).filter(function(name) {
+          return MT.App._pageDefs[name].preload;
+        }));
+      });
+    },
+
+    /**
+     * @class MT.PageController
+     *
+     * Base class for all Motown controllers.
+     */
+    PageController: WinJS.Class.define(function (element, config, services) {
+      MT.apply(this, config);
+      Object.defineProperties(this, {
+        services:        { value: services || {}, writable: false,    enumerable: true,  configurable: false },
+        viewEl:          { value: element,        writable: !element, enumerable: true,  configurable: false },
+        refs:            { value: {},             writable: false,    enumerable: true,  configurable: false },
+        regions:         { value: {},             writable: false,    enumerable: true,  configurable: false },
+        _listeners:      { value: [],             writable: false,    enumerable: false, configurable: false },
+        _bindings:       { value: [],             writable: false,    enumerable: false, configurable: false },
+        _regionHosts:    { value: {},             writable: false,    enumerable: false, configurable: false },
+        _regionCache:    { value: {},             writable: false,    enumerable: false, configurable: false },
+        _regionQueues:   { value: {},             writable: false,    enumerable: false, configurable: false },
+        _regionLoads:    { value: {},             writable: false,    enumerable: false, configurable: false },
+        _twoWayBindings: { value: [],             writable: false,    enumerable: false, configurable: false },
+        _sourceBindings: { value: [],             writable: false,    enumerable: false, configurable: false },
+        _bindingWatchers:{ value: [],             writable: false,    enumerable: false, configurable: false }
+      });
+    },{
+
+      /**
+       * @property viewEl The DOM element representing the view associated with this controller.
+       * @readonly
+       */
+
+      /**
+       * @property refs The property names of this object correspond to the <code>data-motown-ref</code>
+       * declarations defined in this controller's associated view, see {@link MT.PageController#refreshRefs}.
+       * @readonly
+       */
+
+      /**
+       * @property services The instances of the services injected into this controller, by name. Controllers list the
+       * services they need in the 'inject' property of their page definition or class (see {@link MT#configApp}).
+       * @readonly
+       */
+
+      /**
+       * @property regions The property names of this object correspond to the names of the regions declared with
+       * <code>data-motown-region</code> in this controller's associated view, the values are the controllers of the
+       * views shown in the regions.
+       * @readonly
+       */
+
+      /**
+       * @property {Boolean} disposed <code>true</code> once {@link MT.PageController#dispose} has been called.
+       * @readonly
+       */
+      disposed: false,
+      // Event listeners added with _listen, removed on dispose
+      _listeners: null,
+      // The parent objects and property names of the models bound with _processBindings
+      _bindings: null,
+      // Maps region names to their host elements
+      _regionHosts: null,
+      // Maps region names to maps of view names to the controllers loaded for the region
+      _regionCache: null,
+      // Maps region names to the Promises for their last swap, swaps of a region run one at a time
+      _regionQueues: null,
+      // Maps region names to maps of view names to the Promises for the controllers being loaded for the region
+      _regionLoads: null,
+      // The bindings set up by _processTwoWayBindings
+      _twoWayBindings: null,
+      // The data-motown-bindsource elements, their model paths, the models they are bound to and the binding tokens
+      _sourceBindings: null,
+      // Functions that stop watching the objects along the model paths for replacement
+      _bindingWatchers: null,
+      _updatingBindings: false,
+      /**
+       * @private
+       * Adds an event listener that is removed when this controller is disposed of.
+       */
+      _listen: function(el, type, listener, capture) {
+        el.addEventListener(type, listener, !!capture);
+        this._listeners.push({ el: el, type: type, listener: listener, capture: !!capture });
+      },
+
+      /**
+       * @private
+       * Finds the elements in this controller's view that have an attribute, leaving out the elements in the views
+       * of its regions.
+       */
+      _ownElements: function(attr) {
+        var viewEl = this.viewEl;
+
+        return WinJS.Utilities.query('*[' + attr + ']', viewEl).filter(function(el) {
+          return MT.findParent(el) === viewEl;
+        });
+      },
+
+      /**
+       * Establishes references to declared "refs" in this controller's view, replacing the ones established before.
+       * Refs are defined in the "refs" property of this controller according to the name
+       * configured in the view. A name ending with '[]' collects all the elements declaring it into an array, in
+       * document order:
+       *
+       *     <li data-motown-ref="rows[]">...</li>
+       *
+       * The refs are refreshed when a region's view is replaced and when a ListView in the view completes rendering its
+       * items. Call this method after adding or removing elements with refs yourself.
+       */
+      refreshRefs: function() {
+        var refs = this.refs;
+
+        Object.keys(refs).forEach(function(name) {
+          delete refs[name];
+        });
+        this._ownElements('data-motown-ref').forEach(function(el) {
+          var name = el.getAttribute('data-motown-ref').trim(),
+              collect = /\[\]$/.test(name),
+              value = el.winControl || el;
+
+          // The content of templates is only copied
+          if (inTemplate(el)) {
+            return;
+          }
+          if (collect) {
+            name = name.slice(0, -2);
+          }
+          if (refs.hasOwnProperty(name) && !(collect && Array.isArray(refs[name]))) {
+            console.warn('The ref "' + name + '" is declared more than once, use "' + name + '[]" to collect the elements into an array');
+          }
+
+          if (collect) {
+            refs[name] = (refs.hasOwnProperty(name) && Array.isArray(refs[name])) ? refs[name] : [];
+            refs[name].push(value);
+          }
+          else {
+            refs[name] = value;
+          }
+        });
+      },
+      /**
+       * @private
+       * Wires the actions declared with <code>data-motown-actions</code> in this controller's view. The values are the
+       * name of a controller method, which is called with the event, or a call with arguments. Arguments are numbers,
+       * quoted strings, <code>true</code>, <code>false</code>, <code>null</code>, <code>undefined</code>,
+       * <code>$event</code>, <code>$data</code> (the data of the ListView item the element is in) or dotted paths of
+       * properties of the controller (such as <code>refs.list</code>):
+       *
+       *     data-motown-actions="{ click: 'selectItem($event, 42, refs.list)', dblclick: 'WinJS.Navigation.back()' }"
+       *
+       * Actions are parsed when the view is processed, errors are thrown for malformed actions and unknown methods.
+       * Paths that are not properties of the controller must start with one of the globals in
+       * {@link MT.AppController#actionGlobals}, the paths of arguments are checked when the action runs as the
+       * controller may set their properties later. The keys are event names that may be followed by modifiers
+       * separated by dots:
+       *
+       *     data-motown-actions="{ 'keydown.enter': 'submit', 'input.debounce(300)': 'search', 'click.prevent.once': 'start' }"
+       *
+       * - Key names ('enter', 'esc', 'tab', 'space', 'up', 'down', 'left', 'right', 'delete' or any name in
+       *   WinJS.Utilities.Key) only handle events for those keys, 'ctrl', 'alt', 'shift' and 'meta' require the key to be held
+       * - 'prevent' and 'stop' call <code>preventDefault()</code> and <code>stopPropagation()</code> on the event
+       * - 'once' only handles the first event, 'capture' listens in the capture phase
+       * - 'debounce(ms)' waits until no events have occurred for the delay, 'throttle(ms)' handles at most one event per delay
+       *
+       * Elements with actions that are added to the view later, including the items ListViews render from templates,
+       * are handled by delegation from the view's root element, see _delegateAction.
+       */
+      _processActions: function() {
+        var self = this,
+            types = delegatedEvents.slice();
+
+        this._ownElements('data-motown-actions').forEach(function(el) {
+          var handlers = self._actionHandlers(el),
+              target = el.winControl || el;
+
+          handlers.forEach(function(handler) {
+            if (types.indexOf(handler.type) === -1) {
+              types.push(handler.type);
+            }
+          });
+          // The content of templates is only copied, the copies are handled by delegation
+          if (!inTemplate(el)) {
+            handlers.forEach(function(handler) {
+              self._listen(target, handler.type, handler.listener, handler.capture);
+            });
+            el._motownActions = handlers;
+          }
+        });
+
+        types.forEach(function(type) {
+          self._listen(self.viewEl, type, function(e) {
+            self._delegateAction(e);
+          });
+        });
+      },
+      /**
+       * @private
+       * Handles events for the elements with <code>data-motown-actions</code> that were added to this controller's
+       * view after it was processed, such as the items rendered from templates by ListViews or markup added by the
+       * controller. Only the event types used by the view's actions and the common types in delegatedEvents are
+       * delegated, modifiers apply as usual except for 'capture'.
+       */
+      _delegateAction: function(e) {
+        var viewEl = this.viewEl,
+            el;
+
+        for (el = e.target; el && el !== viewEl; el = el.parentNode) {
+          if (el.nodeType === 1 && el.hasAttribute('data-motown-actions') && MT.findParent(el) === viewEl) {
+            if (!el._motownActions) {
+              el._motownActions = this._actionHandlers(el);
+              el._motownActions.delegated = true;
+            }
+            if (el._motownActions.delegated) {
+              el._motownActions.forEach(function(handler) {
+                if (handler.type === e.type) {
+                  handler.listener(e);
+                }
+              });
+            }
+          }
+        }
+      },
+      /**
+       * @private
+       * Parses the actions of an element into a listener per event, applying the modifiers in the event names (see
+       * _processActions). Actions of elements in ListView items also get the item's data, as <code>$data</code> in
+       * expressions and as the second argument of bare method names.
+       */
+      _actionHandlers: function(el) {
+        var actions = WinJS.UI.optionsParser(el.getAttribute('data-motown-actions')),
+            self = this;
+
+        // keys are event names, values are actions: a controller method's name or a call expression
+        return Object.keys(actions).map(function(eName) {
+          var action = parseAction(actions[eName]),
+              mods = parseEventModifiers(eName),
+              last = 0,
+              done = false,
+              pending,
+              invoke = function(e) {
+                var data;
+
+                if (self.disposed) {
+                  return;
+                }
+                data = self._itemData(el);
+                if (data) {
+                  data.done(function(data) {
+                    runAction(action, self, { $event: e, $data: data });
+                  });
+                }
+                else {
+                  runAction(action, self, { $event: e });
+                }
+              };
+
+          if (action.callee.length === 1 && typeof self[action.callee[0]] !== 'function') {
+            throw new Error('Unknown action "' + action.callee[0] + '" in: ' + actions[eName]);
+          }
+          // Arguments are checked when the action runs, the controller may set their properties later (in viewReady)
+          if (!isActionPath(action.callee, self)) {
+            throw unknownActionName(action.callee, actions[eName]);
+          }
+
+          return {
+            type: mods.type,
+            capture: mods.capture,
+            listener: function(e) {
+              if (done || (mods.keys.length && mods.keys.indexOf(e.keyCode) === -1) ||
+                  !mods.systemKeys.every(function(key) { return e[key]; })) {
+                return;
+              }
+              if (mods.prevent) {
+                e.preventDefault();
+              }
+              if (mods.stop) {
+                e.stopPropagation();
+              }
+              if (mods.once) {
+                done = true;
+              }
+
+              if (mods.debounce) {
+                clearTimeout(pending);
+                pending = setTimeout(function() {
+                  invoke(e);
+                }, mods.debounce);
+              }
+              else if (mods.throttle) {
+                if (Date.now() - last >= mods.throttle) {
+                  last = Date.now();
+                  invoke(e);
+                }
+              }
+              else {
+                invoke(e);
+              }
+            }
+          };
+        });
+      },
+      /**
+       * @private
+       * Finds the data of the ListView item an element is part of.
+       * @return {WinJS.Promise} A Promise for the item's data or <code>null</code> if the element is not in an item.
+       */
+      _itemData: function(el) {
+        var viewEl = this.viewEl,
+            listView, index;
+
+        for (listView = el.parentNode; listView && listView !== viewEl; listView = listView.parentNode) {
+          if (listView.winControl instanceof WinJS.UI.ListView) {
+            listView = listView.winControl;
+            index = listView.indexOfElement(el);
+            return (index >= 0) ? listView.itemDataSource.itemFromIndex(index).then(function(item) {
+              return item && item.data;
+            }) : null;
+          }
+        }
+        return null;
+      },
+      _processBindings: function() {
+        var regions = this.regions,
+            promises = Object.keys(regions).map(function(name) {
+              return regions[name]._processBindings();
+            });
+
+        this._updateBindings();
+        return WinJS.Promise.join(promises);
+      },
+      /**
+       * @private
+       * Binds the <code>data-motown-bindsource</code> elements (and the <code>data-win-bind</code> declarations in
+       * them) and the <code>data-motown-bind</code> two-way bindings in this controller's view to the models at their
+       * paths. Elements are only bound again when the model at their path has been replaced, their bindings to the old
+       * model are released first. The objects along the paths are watched, replacing any of them (e.g.
+       * <code>this.customer = newCustomer</code>) updates the bindings right away.
+       * @param {Boolean} optional <code>true</code> to unbind paths that can no longer be found instead of throwing.
+       */
+      _updateBindings: function(optional) {
+        var self = this;
+
+        if (this._updatingBindings || this.disposed) {
+          return;
+        }
+        this._updatingBindings = true;
+        try {
+          this._unwatchBindingPaths();
+          this._ownElements('data-motown-bindsource').forEach(function(el) {
+            var binding = self._sourceBindings.filter(function(b) { return b.el === el; })[0];
+
+            if (!binding) {
+              binding = { el: el, path: el.getAttribute('data-motown-bindsource'), model: null, tokens: [], nested: [] };
+              self._sourceBindings.push(binding);
+            }
+            self._bindSource(binding, self._observablePath(binding.path, optional));
+          });
+          this._processTwoWayBindings(optional);
+          this._watchBindingPaths(this._sourceBindings.concat(this._twoWayBindings).map(function(b) {
+            return b.path;
+          }));
+        }
+        finally {
+          this._updatingBindings = false;
+        }
+      },
+      /**
+       * @private
+       * Binds the <code>data-win-bind</code> declarations of a <code>data-motown-bindsource</code> element and its
+       * descendants to a model, cancelling the bindings to the model they were bound to before. The declarations are
+       * processed as WinJS.Binding.processAll does, but each binding is kept so it can be cancelled: initializers must
+       * be marked supported for processing, the content of templates and nested bindsources are left alone.
+       */
+      _bindSource: function(binding, model) {
+        var viewEl = this.viewEl,
+            els;
+
+        if (binding.model === model) {
+          return;
+        }
+        binding.tokens.forEach(function(token) {
+          token.cancel();
+        });
+        binding.tokens.length = 0;
+        binding.model = model;
+        if (!model) {
+          return;
+        }
 
-      if (defaultIdx) {
-        md.defaultCommandIndex = defaultIdx;
-      }
-      if (cancelIdx) {
-        md.cancelCommandIndex = cancelIdx;
-      }
+        // Leave out the elements of nested bindsources, of the content of templates and of the views of regions
+        els = WinJS.Utilities.query('*[data-win-bind]', binding.el).filter(function(el) {
+          return isBoundBy(el, binding.el) && MT.findParent(el) === viewEl;
+        });
+        if (binding.el.hasAttribute('data-win-bind')) {
+          els.unshift(binding.el);
+        }
 
-      return md.showAsync();
-    },
+        // Nested data-win-bindsource elements are bound to their own sources by WinJS, once
+        WinJS.Utilities.query('*[data-win-bindsource]', binding.el).forEach(function(el) {
+          if (binding.nested.indexOf(el) === -1 && !el.hasAttribute('data-motown-bindsource') &&
+              isBoundBy(el.parentNode, binding.el) && !isControlContainer(el.parentNode) && MT.findParent(el) === viewEl) {
+            binding.nested.push(el);
+            WinJS.Binding.processAll(el);
+          }
+        });
 
-    /**
-     * Creates a URL with base and parameter components.
-     * Use the returned value for calls to WinJS.xhr
-     *
-     *     MT.toURL('http://my.host.net/base', {
-     *       param1: 'value 1',
-     *       param2: 2112
-     *     });
-     *
-     * @member MT
-     * @param  {String} base   The base URI
-     * @param  {Object} params A map of name/value pairs to use as URL parameters
-     * @return {String} The full URL, uri-encoded
-     */
-    toURL: function(base, params) {
-      var names = Object.keys(params || {}),
-          pairs = new Array(names.length),
-          i, l;
+        els.forEach(function(el) {
+          parseWinBind(el.getAttribute('data-win-bind')).forEach(function(decl) {
+            var initializer = decl.initializer ? WinJS.Utilities.getMember(decl.initializer) : WinJS.Binding.defaultBind,
+                token;
 
-      if (names.length) {
-        for (i = 0, l = names.length; i < l; i++) {
-          pairs[i] = [names[i], encodeURIComponent(params[names[i]])].join('=');
-        }
-        return [base, pairs.join('&')].join('?');
-      }
-      else {
-        return base;
-      }
-    },
+            if (typeof initializer !== 'function') {
+              throw new Error('Unknown binding initializer: ' + decl.initializer);
+            }
+            // Like WinJS.Binding.processAll, only run functions marked as supported for processing from markup
+            WinJS.Utilities.requireSupportedForProcessing(initializer);
+            token = initializer(model, decl.source, el, decl.destination);
+            if (token && typeof token.cancel === 'function') {
+              binding.tokens.push(token);
+            }
+          });
+        });
+      },
+      // Watches the objects along model paths for replacement, see _updateBindings
+      _watchBindingPaths: function(paths) {
+        var self = this,
+            watched = [],
+            changed = function() {
+              self._updateBindings(true);
+            };
+
+        paths.forEach(function(path) {
+          var obj = this;
+
+          path.split('.').every(function(prop) {
+            var unwatch;
+
+            if (!watched.some(function(w) { return w.obj === obj && w.prop === prop; })) {
+              watched.push({ obj: obj, prop: prop });
+              unwatch = watchProperty(obj, prop, changed);
+              if (unwatch) {
+                self._bindingWatchers.push(unwatch);
+              }
+            }
+            obj = obj[prop];
+            return obj && typeof obj === 'object';
+          });
+        }, this);
+      },
+      _unwatchBindingPaths: function() {
+        this._bindingWatchers.forEach(function(unwatch) {
+          unwatch();
+        });
+        this._bindingWatchers.length = 0;
+      },
+      /**
+       * @private
+       * Finds the model at a "dot separated" path relative to this controller and replaces it with an ObservableProxy
+       * (models are observable already).
+       * @param {String}  modelPath The path of the model.
+       * @param {Boolean} optional  <code>true</code> to return <code>null</code> if the path can't be found instead of throwing.
+       * @return {Object} The observable model.
+       */
+      _observablePath: function(modelPath, optional) {
+        var parent, prop,
+            model = this;
 
-    //TODO: Make this more general purpose
-    /**
-     * @private
-     * @param startEl
-     * @return {Object}
-     */
-    findParent: function(startEl) {
-      if (startEl) {
-        if (startEl.hasAttribute('data-motown-owner-index')) {
-          return startEl;
+        if (!modelPath) {
+          throw 'Model path must be specified';
         }
-        else {
-          return MT.findParent(startEl.parentNode);
+
+        if (!modelPath.split('.').every(function (path) {
+          parent = model;
+          model = parent[path];
+          prop = path;
+          return !!model;
+        })) {
+          if (optional) {
+            return null;
+          }
+          throw 'Model path could not be found: ' + modelPath;
         }
-      }
-      else  { return null; }
-    },
 
-    /**
-     * Entry point function for starting Motown applications.
-     * The <code>config</code> parameter is used to construct an instance of {@link MT.AppController}.
-     * You can override any of the template methods in {@link MT.AppController} such as  {@link MT.AppController#onCheckpoint}
-     * to suit the needs of your application.
-     *
-     * @member MT
-     * @param {Object}  config             The application configuration
-     * @param {String}  [config.name]      The application name
-     * @param {String}  [config.namespace] The namespace for the application (defaults to window)
-     * @param {Mixed[]} config.pages       An array of page definition objects
-     */
-    configApp: function(config) {
-      contentLoadedPromise = WinJS.Utilities.ready(function() {
-        var hostEl = document.createElement('div');
-        hostEl.style.width = hostEl.style.height = '100%';
-        hostEl.style.backgroundColor = 'rgba(0,0,0,0)';
-        hostEl.id = 'motownapp-host';
-        document.body.appendChild(hostEl);
+        model = WinJS.Binding.as(model);
+        parent[prop] = model; // Replace the model object with the ObservableProxy
+        if (!(model instanceof MT.Model) && !this._bindings.some(function(b) { return b.parent === parent && b.prop === prop; })) {
+          this._bindings.push({ parent: parent, prop: prop });
+        }
+        return model;
+      },
+      /**
+       * @private
+       * Sets up the two-way bindings declared with <code>data-motown-bind</code> in this controller's view. The
+       * attribute holds "property: model.path" pairs separated by semicolons, a pair may end with "| converterName":
+       *
+       *     <input type="text" data-motown-bind="value: customer.name | trimmed; disabled: customer.locked">
+       *     <div data-win-control="WinJS.UI.ToggleSwitch" data-motown-bind="checked: customer.active"></div>
+       *
+       * Properties of WinJS controls are bound on the control. The model is updated on the 'input' and 'change' events
+       * of elements and the 'change' event of controls. Bindings whose model is unchanged are kept, the others are
+       * released.
+       * @param {Boolean} optional <code>true</code> to skip paths that can't be found instead of throwing.
+       */
+      _processTwoWayBindings: function(optional) {
+        var self = this,
+            previous = this._twoWayBindings.splice(0, this._twoWayBindings.length);
 
-        MT.App = new MT.AppController(hostEl, config);
-        Object.freeze(MT);
-        MT.App.init();
-      });
-    },
+        this._ownElements('data-motown-bind').forEach(function(el) {
+          el.getAttribute('data-motown-bind').split(';').forEach(function(decl) {
+            var parts = /^\s*([\w$]+)\s*:\s*([\w$.]+)\s*(?:\|\s*([\w$]+)\s*)?$/.exec(decl),
+                segments, name, source, kept;
 
-    //TODO: Need dispose() method
-    /**
-     * @class MT.PageController
-     *
-     * Base class for all Motown controllers.
-     */
-    PageController: WinJS.Class.define(function (element, config) {
-      MT.apply(this, config);
-      Object.defineProperties(this, {
-        viewEl:  { value: element, writable: !element, enumerable: true, configurable: false },
-        refs:    { value: {},      writable: false,    enumerable: true, configurable: false }
-      });
-    },{
+            if (!decl.trim()) {
+              return;
+            }
+            if (!parts) {
+              throw new Error('Invalid binding: "' + decl.trim() + '", expected "property: model.path | converter"');
+            }
+            segments = parts[2].split('.');
+            name = segments.pop();
+            if (!segments.length) {
+              throw new Error('Two-way bindings must name a property of a model: ' + parts[2]);
+            }
+            source = self._observablePath(segments.join('.'), optional);
+
+            kept = previous.filter(function(b) {
+              return b.el === el && b.targetProp === parts[1] && b.source === source && b.name === name &&
+                b.converterName === parts[3];
+            })[0];
+            if (kept) {
+              previous.splice(previous.indexOf(kept), 1);
+              self._twoWayBindings.push(kept);
+            }
+            else if (source) {
+              self._bindTwoWay(el, parts[1], source, segments.join('.'), name, parts[3]);
+            }
+          });
+        });
+        this._releaseTwoWayBindings(previous);
+      },
+      // Binds a property of an element (or its WinJS control) to a model's property in both directions
+      _bindTwoWay: function(el, targetProp, source, path, name, converterName) {
+        var target = el.winControl || el,
+            converter = this._converter(converterName),
+            binding = {
+              el: el, target: target, targetProp: targetProp, source: source, path: path, name: name,
+              converterName: converterName, events: el.winControl ? ['change'] : ['input', 'change']
+            };
+
+        binding.action = function(value) {
+          value = converter.toView(WinJS.Binding.unwrap(value));
+          if (target[targetProp] !== value) {
+            target[targetProp] = value;
+          }
+        };
+        binding.listener = function() {
+          source.setProperty(name, converter.toModel(target[targetProp]));
+        };
 
+        source.bind(name, binding.action);
+        binding.action(source.getProperty(name));
+        binding.events.forEach(function(type) {
+          target.addEventListener(type, binding.listener, false);
+        });
+        this._twoWayBindings.push(binding);
+      },
+      // Releases two-way bindings, all of this controller's by default
+      _releaseTwoWayBindings: function(bindings) {
+        bindings = bindings || this._twoWayBindings;
+        bindings.forEach(function(binding) {
+          binding.source.unbind(binding.name, binding.action);
+          binding.events.forEach(function(type) {
+            binding.target.removeEventListener(type, binding.listener, false);
+          });
+        });
+        bindings.length = 0;
+      },
       /**
-       * @property viewEl The DOM element representing the view associated with this controller.
-       * @readonly
+       * @private
+       * Finds a converter by name in this controller's 'converters' or the application's (see {@link MT#configApp}).
+       * @return {Object} The converter's 'toView' and 'toModel' functions.
        */
+      _converter: function(name) {
+        var identity = function(value) { return value; },
+            converter;
 
+        if (!name) {
+          return { toView: identity, toModel: identity };
+        }
+        converter = (this.converters && this.converters[name]) || (MT.App && MT.App.converters && MT.App.converters[name]);
+        if (!converter) {
+          throw new Error('Unknown converter: ' + name);
+        }
+        return {
+          toView: converter.toView || ((typeof converter === 'function') ? converter : identity),
+          toModel: converter.toModel || identity
+        };
+      },
       /**
-       * @property refs The property names of this object correspond to the <code>data-motown-refs</code>
-       * declarations defined in this controller's associated view.
-       * @readonly
+       * @private
+       * Loads the views and controllers of the regions declared with <code>data-motown-region</code> in this
+       * controller's view. The attribute's value is either the name of a view or an object with the region's 'name'
+       * and the 'view', 'viewCls', 'controller', 'controllerClass' and 'config' to show in it initially.
        */
+      _loadRegions: function() {
+        var self = this;
 
+        return WinJS.Promise.join(this._ownElements('data-motown-region').map(function(el) {
+          var decl = el.getAttribute('data-motown-region').trim(),
+              options = (decl[0] === '{') ? WinJS.UI.optionsParser(decl) : { view: decl },
+              name = options.name || options.view;
+
+          if (!name) {
+            throw new Error('Regions must have a name or a view: ' + decl);
+          }
+          self._regionHosts[name] = el;
+          return options.view ? self.setRegion(name, options) : null;
+        }));
+      },
       /**
        * @private
-       * Establishes references to declared "refs" in this controller's view.
-       * Refs are defined in the "refs" property of this controller according to the name
-       * configured in the view.
+       * Calls a navigation life-cycle method on this controller and then on the controllers of its regions.
+       * The returned Promise completes with <code>false</code> if any of them returned <code>false</code>.
        */
-      _processRefs: function() {
-        var refEls = WinJS.Utilities.query('*[data-motown-ref]', this.viewEl),
-            self = this;
-
-        refEls.forEach(function(el) {
-          self.refs[el.getAttribute('data-motown-ref')] = el.winControl || el;
+      _navigationHook: function(method, context, token) {
+        var regions = this.regions;
+
+        return WinJS.Promise.as(this[method](context, token)).then(function(result) {
+          return Object.keys(regions).reduce(function(promise, name) {
+            return promise.then(function(proceed) {
+              return WinJS.Promise.as(regions[name]._navigationHook(method, context, token)).then(function(result) {
+                return proceed && (result !== false);
+              });
+            });
+          }, WinJS.Promise.as(result !== false));
         });
       },
-      _processActions: function() {
-        var actionEls = WinJS.Utilities.query('*[data-motown-actions]', this.viewEl),
-            self = this;
-
-        actionEls.forEach(function(el) {
-          var actions = WinJS.UI.optionsParser(el.getAttribute('data-motown-actions'));
-
-          el = el.winControl || el;
+      /**
+       * Shows a view and its controller in one of the regions declared in this controller's view, replacing the view
+       * shown there before. Controllers are kept per region and view, showing a view again reuses its controller.
+       * When this controller's view is in the document the navigation life-cycle methods are called on the controllers
+       * leaving and entering the region, the one leaving may cancel by returning <code>false</code> from
+       * {@link MT.PageController#beforeNavigateOut}. Calls for the same region run one after the other.
+       *
+       *     this.setRegion('tabs', { view: 'product/reviews', controller: 'ReviewsController' });
+       *
+       * @param {String} name    The name of the region.
+       * @param {Object} options The 'view' to show and optionally its 'viewCls', 'controller', 'controllerClass',
+       * 'config' and 'scopedStyles'. The controller defaults to the conventional name for the last segment of the view's name.
+       * @return {WinJS.Promise} A Promise that completes with the controller shown in the region.
+       */
+      setRegion: function(name, options) {
+        var host = this._regionHosts[name],
+            view = options.view,
+            queue = this._regionQueues[name] || WinJS.Promise.as(),
+            self = this,
+            swap,
+            run = function() {
+              return self._swapRegion(name, host, options);
+            };
+
+        if (!host) {
+          throw new Error('Unknown region: ' + name);
+        }
+        if (!view) {
+          throw new Error('A view must be specified for region: ' + name);
+        }
 
-          // keys are event names, value is either a name of a controller method or a code snippet for a dynamic function body
-          Object.keys(actions).forEach(function(eName) {
-            var action = actions[eName];
-            // The controller has a method matching the action name
-            if (typeof self[action] === 'function') {
-              el.addEventListener(eName, function(e) {
-                self[action](e);
-              }, false);
-            }
-              // Otherwise, the action is a string for a dynamic function
-            else {
-              var dynamicFunc = new Function('e', action);
-              el.addEventListener(eName, function(e) {
-                dynamicFunc.call(self, e);
-              }, false);
-            }
-          });
-        });
+        // Swaps run one at a time per region, each one starts from the view shown by the one before
+        swap = queue.then(run, run);
+        this._regionQueues[name] = swap.then(null, function() {});
+        return swap;
       },
-      _processBindings: function() {
-        var bindEls = WinJS.Utilities.query('*[data-motown-bindsource]', this.viewEl),
-            promises = [],
-            self = this;
+      /**
+       * @private
+       * Replaces the view shown in a region, see {@link MT.PageController#setRegion}.
+       */
+      _swapRegion: function(name, host, options) {
+        var cache = this._regionCache[name] || (this._regionCache[name] = {}),
+            loads = this._regionLoads[name] || (this._regionLoads[name] = {}),
+            view = options.view,
+            previous = this.regions[name],
+            active = document.documentElement.contains(this.viewEl),
+            context = Object.create(options.state || {}),
+            token = new NavigationToken(view),
+            regions = this.regions,
+            self = this,
+            next,
+            remove = function(controller) {
+              if (controller.viewEl.parentNode === host) {
+                host.removeChild(controller.viewEl);
+              }
+            };
+
+        // A view being loaded for the region already gets a single controller
+        if (!cache[view] && !loads[view]) {
+          loads[view] = MT.App._createController(view, options.viewCls, function() {
+            return MT.App._resolveController(view.split('/').pop(), options);
+          }, options.config, options.inject, options.scopedStyles).then(function(controller) {
+            delete loads[view];
+            cache[view] = controller;
+            return controller;
+          }, function(error) {
+            delete loads[view];
+            throw error;
+          });
+        }
 
-        bindEls.forEach(function(el) {
-          var modelPath = el.getAttribute('data-motown-bindsource'),
-              parent, prop,
-              model = self;
+        return WinJS.Promise.as(cache[view] || loads[view]).then(function(controller) {
+          next = controller;
 
-          if (!modelPath) {
-            throw 'Model path must be specified';
+          if (self.disposed) {
+            next.dispose();
+            return null;
+          }
+          if (previous === next) {
+            return next;
+          }
+          if (!active) {
+            if (previous) {
+              remove(previous);
+            }
+            host.appendChild(next.viewEl);
+            regions[name] = next;
+            self.refreshRefs();
+            updateViewStyles();
+            return next;
           }
 
-          modelPath.split('.').forEach(function (path) {
-            parent = model;
-            model = parent[path];
-            if (!model) {
-              throw 'Model path could not be found: ' + modelPath;
+          return WinJS.Promise.as(previous && previous._navigationHook('beforeNavigateOut', context, token)).then(function(proceed) {
+            if (proceed === false) {
+              return previous;
+            }
+            if (previous) {
+              remove(previous);
             }
-            prop = path;
+            return WinJS.Promise.as(previous && previous._navigationHook('afterNavigateOut', context, token)).then(function() {
+              host.appendChild(next.viewEl);
+              regions[name] = next;
+              self.refreshRefs();
+              updateViewStyles();
+              return next._navigationHook('beforeNavigateIn', context, token);
+            }).then(function() {
+              return next._processBindings();
+            }).then(function() {
+              return next._navigationHook('afterNavigateIn', context, token);
+            }).then(function() {
+              return next;
+            });
           });
-
-          model = WinJS.Binding.as(model);
-          parent[prop] = model; // Replace the model object with the ObservableProxy
-          promises[promises.length] = WinJS.Binding.processAll(el, model);
         });
-        return WinJS.Promise.join(promises);
       },
       _bindKeyEvents: function() {
         var me = this;
 
         ['keypress', 'keyup', 'keydown'].forEach(function(ename) {
           var methodName = 'key' + ename[3].toUpperCase() + ename.slice(4);
-          me.viewEl.addEventListener(ename, function(ev) {
+          me._listen(me.viewEl, ename, function(ev) {
             me[methodName](ev);
-          }, false);
+          });
         });
       },
       _initView: function() {
+        var self = this;
+
         if (this.viewEl) {
-          this._processRefs();
+          this.refreshRefs();
           this._processActions();
+          // Refresh the refs once ListViews have rendered their items
+          this._listen(this.viewEl, 'loadingstatechanged', function(e) {
+            var list = e.target.winControl;
+            if (list && list.loadingState === 'complete' && MT.findParent(e.target) === self.viewEl) {
+              self.refreshRefs();
+            }
+          }, true);
           this._bindKeyEvents();
           this.viewReady(this.viewEl);
         }
       },
+      /**
+       * Releases the resources held by this controller: removes the event listeners for actions and key events,
+       * cancels its bindings, replaces bound models with their unwrapped objects so their bindings can be collected,
+       * clears the refs, disposes of the controllers loaded for its regions and removes the view from the DOM. Called by
+       * the application when the page is evicted from its cache.
+       * Override it to release your own resources, be sure to call this implementation as well.
+       */
+      dispose: function() {
+        var refs = this.refs,
+            regions = this.regions,
+            regionCache = this._regionCache,
+            self = this;
+
+        if (this.disposed) {
+          return;
+        }
+        this.disposed = true;
+
+        this._listeners.forEach(function(l) {
+          l.el.removeEventListener(l.type, l.listener, l.capture);
+        });
+        this._listeners.length = 0;
+
+        this._unwatchBindingPaths();
+        this._releaseTwoWayBindings();
+        this._sourceBindings.forEach(function(binding) {
+          self._bindSource(binding, null);
+        });
+        this._sourceBindings.length = 0;
+        this._bindings.forEach(function(b) {
+          b.parent[b.prop] = WinJS.Binding.unwrap(b.parent[b.prop]);
+        });
+        this._bindings.length = 0;
+
+        Object.keys(refs).forEach(function(name) {
+          delete refs[name];
+        });
+
+        Object.keys(regionCache).forEach(function(name) {
+          Object.keys(regionCache[name]).forEach(function(view) {
+            regionCache[name][view].dispose();
+          });
+          delete regionCache[name];
+          delete regions[name];
+        });
+
+        if (this.viewEl) {
+          controllerCache[this.viewEl.getAttribute('data-motown-owner-index')] = null;
+          if (WinJS.Utilities.disposeSubTree) { // WinJS 2.0+
+            WinJS.Utilities.disposeSubTree(this.viewEl);
+          }
+          if (this.viewEl.parentNode) {
+            this.viewEl.parentNode.removeChild(this.viewEl);
+          }
+        }
+      },
+      /**
+       * Override this method to save the state of this page when the application is suspended. If the application is
+       * terminated while suspended, the state is passed to {@link MT.PageController#restoreState} when the page is
+       * loaded again on the next launch.
+       *
+       * @template
+       * @return {Object} A JSON serializable object or <code>undefined</code> if there is nothing to save.
+       */
+      saveState: function() {},
+      /**
+       * Override this method to restore the state saved by {@link MT.PageController#saveState} before the application
+       * was terminated. It is called right after {@link MT.PageController#viewReady}.
+       *
+       * @template
+       * @param {Object} state The saved state.
+       */
+      restoreState: function(state) {},
       /**
        * This method is called once, right after the view is loaded for the page this controller is part of.
        * All refs and actions are established beforehand and {@link MT.PageController#viewEl} is available and
@@ -594,8 +3467,12 @@
        * @param context A reference to the [state](http://msdn.microsoft.com/en-us/library/windows/apps/br229850.aspx)
        * object passed to [WinJS.Navigation.navigate](http://msdn.microsoft.com/en-us/library/windows/apps/br229837.aspx).
        * This parameter is an empty object when 'back' and 'forward' were used for navigation.
+       * @param token A token with a <code>cancelled</code> property that becomes <code>true</code> when a newer navigation
+       * begins before this one completes. A Promise returned by this method is cancelled along with it.
+       * @return {Mixed} <code>false</code>, a Promise for <code>false</code> or a rejected Promise to cancel the navigation
+       * and stay on this page, the navigation history is left as it was before the navigation began.
        */
-      beforeNavigateOut: function(context) {},
+      beforeNavigateOut: function(context, token) {},
       /**
        * Runs after navigation away from a page. This is the second of the four navigation life-cycle methods to
        * be called during a navigation sequence. This controller's {@link MT.PageController#viewEl} has just been
@@ -605,8 +3482,10 @@
        * @param context A reference to the [state](http://msdn.microsoft.com/en-us/library/windows/apps/br229850.aspx)
        * object passed to [WinJS.Navigation.navigate](http://msdn.microsoft.com/en-us/library/windows/apps/br229837.aspx).
        * This parameter is an empty object when 'back' and 'forward' were used for navigation.
+       * @param token A token with a <code>cancelled</code> property that becomes <code>true</code> when a newer navigation
+       * begins before this one completes. A Promise returned by this method is cancelled along with it.
        */
-      afterNavigateOut: function(context) {},
+      afterNavigateOut: function(context, token) {},
       /**
        * Runs before navigation to a page. This is the third of the four navigation life-cycle methods to
        * be called during a navigation sequence. This controller's {@link MT.PageController#viewEl} has just been
@@ -615,9 +3494,12 @@
        * @template
        * @param context A reference to the [state](http://msdn.microsoft.com/en-us/library/windows/apps/br229850.aspx)
        * object passed to [WinJS.Navigation.navigate](http://msdn.microsoft.com/en-us/library/windows/apps/br229837.aspx).
-       * This parameter is an empty object when 'back' and 'forward' were used for navigation.
+       * This parameter is an empty object when 'back' and 'forward' were used for navigation. In both cases its
+       * <code>params</code> property holds the params matched by the page's route (see {@link MT#configApp}).
+       * @param token A token with a <code>cancelled</code> property that becomes <code>true</code> when a newer navigation
+       * begins before this one completes. A Promise returned by this method is cancelled along with it.
        */
-      beforeNavigateIn: function(context) {},
+      beforeNavigateIn: function(context, token) {},
       /**
        * Runs after navigation away to a page. This is the last of the four navigation life-cycle methods to
        * be called during a navigation sequence. This controller's {@link MT.PageController#viewEl} has just been
@@ -627,8 +3509,10 @@
        * @param context A reference to the [state](http://msdn.microsoft.com/en-us/library/windows/apps/br229850.aspx)
        * object passed to [WinJS.Navigation.navigate](http://msdn.microsoft.com/en-us/library/windows/apps/br229837.aspx).
        * This parameter is an empty object when 'back' and 'forward' were used for navigation.
+       * @param token A token with a <code>cancelled</code> property that becomes <code>true</code> when a newer navigation
+       * begins before this one completes. A Promise returned by this method is cancelled along with it.
        */
-      afterNavigateIn: function(context) {},
+      afterNavigateIn: function(context, token) {},
       /**
        * Implement this template method to receive this type of key events from this controller's
        * {@link MT.PageController#viewEl} and any of its descendant elements in the DOM.
@@ -645,6 +3529,145 @@
        * @inheritdoc #keyPress
        */
       keyDown: function (e) { }
+    }),
+
+    /**
+     * @class MT.Model
+     *
+     * Base class for models, use {@link MT#defineModel} to define models with fields and computed properties.
+     * Models are observable (they implement the [WinJS.Binding.dynamicObservableMixin](http://msdn.microsoft.com/en-us/library/windows/apps/hh701601.aspx))
+     * so views bind to them directly with <code>data-motown-bindsource</code>. Every change of a field notifies the
+     * bindings to the field and to the computed properties that depend on it and dispatches a 'change' event.
+     */
+    Model: WinJS.Class.mix(WinJS.Class.define(
+      /**
+       * @constructor
+       *
+       * Creates a new model instance.
+       *
+       * @param {Object} [data] The initial values of the model's fields, missing fields get their defaults. Values for
+       * undeclared fields are added as observable properties.
+       */
+      function(data) {
+        var fields = this._fields,
+            initial = {},
+            self = this;
+
+        data = data || {};
+        Object.keys(fields).forEach(function(name) {
+          if (data.hasOwnProperty(name)) {
+            initial[name] = data[name];
+          }
+          else {
+            initial[name] = (typeof fields[name] === 'function') ? fields[name].call(self) : fields[name];
+          }
+        });
+        this._initObservable(initial);
+        this._changeListeners = [];
+        this._computedValues = {};
+
+        Object.keys(data).forEach(function(name) {
+          if (!fields.hasOwnProperty(name) && !self._computed.hasOwnProperty(name)) {
+            self.addProperty(name, data[name]);
+          }
+        });
+      }, null, {
+        /**
+         * Creates a model instance from its JSON representation, the inverse of {@link MT.Model#toJSON}.
+         *
+         * @static
+         * @param {String/Object} json A JSON string or the object parsed from it.
+         * @return {MT.Model} A new instance of the class this is called on.
+         */
+        fromJSON: function(json) {
+          return new this((typeof json === 'string') ? JSON.parse(json) : json);
+        }
+      }), WinJS.Binding.dynamicObservableMixin, {
+      // Maps the names of the declared fields to their defaults
+      _fields: {},
+      // Maps the names of the computed properties to their definitions
+      _computed: {},
+      _changeListeners: null,
+      // The last values of the computed properties that were notified, to detect their changes
+      _computedValues: null,
+      getProperty: function(name) {
+        if (this._computed.hasOwnProperty(name)) {
+          return WinJS.Binding.as(this._computed[name].get.call(this));
+        }
+        return WinJS.Binding.dynamicObservableMixin.getProperty.call(this, name);
+      },
+      updateProperty: function(name, value) {
+        var oldValue = this._backingData[name],
+            result = WinJS.Binding.dynamicObservableMixin.updateProperty.call(this, name, value),
+            newValue = this._backingData[name],
+            computed = this._computed,
+            self = this;
+
+        if (oldValue !== newValue) {
+          Object.keys(computed).forEach(function(prop) {
+            var deps = computed[prop].deps,
+                previous = self._computedValues[prop],
+                current;
+
+            if (!deps || (deps.indexOf(name) >= 0)) {
+              current = computed[prop].get.call(self);
+              self._computedValues[prop] = current;
+              if (current !== previous) {
+                self.notify(prop, current, previous);
+              }
+            }
+          });
+          this._dispatchChange(name, newValue, oldValue);
+        }
+        return result;
+      },
+      _dispatchChange: function(name, newValue, oldValue) {
+        var ev = { type: 'change', target: this, detail: { name: name, newValue: newValue, oldValue: oldValue } };
+
+        this._changeListeners.slice().forEach(function(listener) {
+          listener(ev);
+        });
+      },
+      /**
+       * Adds a listener for the 'change' event, dispatched whenever the value of a field changes. The event's
+       * <code>detail</code> holds the field's 'name', its 'newValue' and its 'oldValue'.
+       *
+       * @param {String}   type     'change'
+       * @param {Function} listener The listener function.
+       */
+      addEventListener: function(type, listener) {
+        if (type !== 'change') {
+          throw new Error('Models only dispatch "change" events');
+        }
+        this._changeListeners.push(listener);
+      },
+      /**
+       * Removes a listener added with {@link MT.Model#addEventListener}.
+       *
+       * @param {String}   type     'change'
+       * @param {Function} listener The listener function.
+       */
+      removeEventListener: function(type, listener) {
+        var i = this._changeListeners.indexOf(listener);
+
+        if ((type === 'change') && (i >= 0)) {
+          this._changeListeners.splice(i, 1);
+        }
+      },
+      /**
+       * Computes the JSON representation of this model: the values of its fields, without the computed properties.
+       *
+       * @return {Object} A plain object for JSON.stringify
+       */
+      toJSON: function() {
+        var data = this._backingData,
+            json = {};
+
+        Object.keys(data).forEach(function(name) {
+          json[name] = WinJS.Binding.unwrap(data[name]);
+        });
+        return json;
+      }
     })
   });
 
@@ -1026,6 +4049,7 @@
   };
 
   WinJS.Application.oncheckpoint = function(e) {
+    MT.App._saveSession();
     MT.App.onCheckpoint(e);
   };
 